@@ -4,12 +4,134 @@
 //global dependencies
 const path = require('path');
 const _ = require('lodash');
-const exit = require('exit-hook');
 
 
 //local dependencies
-const redis = require(path.join(__dirname, 'src', 'redis'));
+const create = require(path.join(__dirname, 'src', 'redis'));
 const commands = require(path.join(__dirname, 'src', 'commands'));
+const cache = require(path.join(__dirname, 'src', 'cache'));
+const lock = require(path.join(__dirname, 'src', 'lock'));
+const limiter = require(path.join(__dirname, 'src', 'limiter'));
+const transaction = require(path.join(__dirname, 'src', 'transaction'));
+const namespace = require(path.join(__dirname, 'src', 'namespace'));
+const metrics = require(path.join(__dirname, 'src', 'metrics'));
+
+
+//termination signals to shutdown gracefully on
+const SIGNALS = { SIGINT: 2, SIGTERM: 15 };
+
+
+//instances with clients, shutdown together on process termination
+const instances = [];
+
+
+//track instance while it has clients, so quit instances are released
+const track = function (redis) {
+  const { createClient, quit } = redis;
+
+  //track once client created
+  redis.createClient = function (...args) {
+    const client = createClient(...args);
+    if (!_.includes(instances, redis)) {
+      instances.push(redis);
+    }
+    return client;
+  };
+
+  //release once quit
+  redis.reset = redis.quit = function (...args) {
+    _.pull(instances, redis);
+    return quit(...args);
+  };
+};
+
+
+//quit all instances clients
+const quit = function (done) {
+  const _instances = [].concat(instances);
+  const quitted = _.after(_instances.length, done || _.noop);
+  _.forEach(_instances, function (instance) {
+    instance.quit(quitted);
+  });
+  if (_.isEmpty(_instances)) {
+    quitted();
+  }
+};
+
+
+//listen for process exit and termination once
+const listen = _.once(function () {
+
+  //shutdown gracefully on termination, then exit if no one else is
+  //listening for the signal
+  _.forEach(SIGNALS, function (code, signal) {
+    process.once(signal, function () {
+      quit(function () {
+        if (process.listenerCount(signal) === 0) {
+          process.exit(128 + code);
+        }
+      });
+    });
+  });
+
+  //pm2 cluster shutdown message
+  process.on('message', function (message) {
+    if (message === 'shutdown') {
+      quit(function () {
+        process.exit(0);
+      });
+    }
+  });
+
+  //quit remaining clients on exit
+  process.once('exit', function () {
+    quit();
+  });
+
+});
+
+
+//prepare redis client factories with all helpers attached
+const instance = function (options) {
+
+  const redis = create(options);
+
+  //attach command shortcuts
+  redis.commands = commands(redis);
+
+  //attach distributed lock
+  redis.lock = lock(redis).lock;
+
+  //attach cache helpers
+  redis.cache = cache(redis);
+
+  //attach rate limiter
+  redis.rateLimit = limiter(redis).rateLimit;
+
+  //attach optimistic transaction
+  redis.transaction = transaction(redis).transaction;
+
+  //attach scoped namespaces
+  redis.namespace = namespace(redis).namespace;
+
+  //attach metrics collector
+  redis.collector = metrics(redis).collector;
+
+  //attach isolated instance factory
+  redis.create = function (options) {
+    return exports.create(options);
+  };
+
+  //track instance for shutdown
+  track(redis);
+
+  return redis;
+
+};
+
+
+//singleton instance
+const redis = instance();
 
 
 exports = module.exports = function (options) {
@@ -21,14 +143,41 @@ exports = module.exports = function (options) {
   redis.init();
 
   //listen for process exit and shutdown safely
-  exit(function () {
-    redis.quit();
-  });
-
-  //attach command shortcuts
-  redis.commands = commands;
+  listen();
 
   //export factories
   return redis;
 
-};
\ No newline at end of file
+};
+
+
+/**
+ * @function
+ * @name create
+ * @description create isolated instance with its own defaults, clients,
+ * commands and shutdown, which is not affected by the singleton or other
+ * instances
+ * @param {Object} [options] valid options
+ * @return {Object} redis client factories
+ * @since 0.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * const redis = require('redis-clients').create({ prefix: 'jobs' });
+ *
+ */
+exports.create = function (options) {
+
+  //prepare instance
+  const redis = instance(options);
+
+  //initialize
+  redis.init();
+
+  //listen for process exit and shutdown safely
+  listen();
+
+  return redis;
+
+};
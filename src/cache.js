@@ -0,0 +1,248 @@
+'use strict';
+
+/**
+ * @name cache
+ * @description cache-aside helpers built on top of command helpers
+ * @author lally elias<lallyelias87@gmail.com>
+ * @since 0.6.0
+ * @version 0.1.0
+ * @type {Object}
+ */
+
+
+/* dependencies */
+const path = require('path');
+const _ = require('lodash');
+const { deferred, duration } = require(path.join(__dirname, 'utils'));
+
+
+/**
+ * @function
+ * @name cache
+ * @description create cache-aside helpers bound to redis instance
+ * @param {Object} redis valid redis instance
+ * @return {Object} cache-aside helpers
+ * @since 0.6.0
+ * @version 0.1.0
+ * @private
+ */
+module.exports = function (redis) {
+
+  /* cache-aside helpers */
+  const exports = {};
+  const { get, set } = redis.commands;
+  const { lock } = redis;
+
+
+  /* default wrap options */
+  const defaults = {
+    stale: 0,
+    negativeTtl: 0,
+    lock: false
+  };
+
+
+  /* default recompute lock options */
+  const lockDefaults = {
+    ttl: 5000,
+    retryDelay: 50
+  };
+
+
+  /* in process pending computations per key */
+  const pending = {};
+
+
+  /* convert ttl in seconds or human readable duration to milliseconds */
+  const milliseconds = function (ttl) {
+    return _.isString(ttl) ? duration(ttl) : (Number(ttl) || 0) * 1000;
+  };
+
+
+  /* wait for given milliseconds */
+  const sleep = function (ms) {
+    return new Promise(function (resolve) {
+      setTimeout(resolve, ms);
+    });
+  };
+
+
+  /* check if cached value is a valid cache entry */
+  const isEntry = function (entry) {
+    return _.isPlainObject(entry) && _.has(entry, 'value') &&
+      _.isNumber(entry.expiresAt);
+  };
+
+
+  /* save computed value and its fresh expiry time */
+  const save = function (key, value, options) {
+
+    /* use negative ttl for missing value */
+    const ttl = _.isNil(value) ? options.negativeTtl : options.ttl;
+    if (ttl <= 0) {
+      return Promise.resolve();
+    }
+
+    /* keep entry for stale period after it expires */
+    const entry = { value: _.isNil(value) ? null : value };
+    entry.expiresAt = Date.now() + ttl;
+    return set(key, entry, { px: ttl + options.stale });
+
+  };
+
+
+  /* wait for other process to compute value until lock expires */
+  const wait = async function (key, lock) {
+    const waitUntil = Date.now() + lock.ttl;
+    while (Date.now() < waitUntil) {
+      await sleep(lock.retryDelay);
+      const entry = await get(key);
+      if (isEntry(entry) && entry.expiresAt > Date.now()) {
+        return entry;
+      }
+    }
+  };
+
+
+  /* compute value, taking recompute lock if enabled, and save it */
+  const compute = async function (key, fetcher, options) {
+
+    /* take lock or wait for lock holder to compute value */
+    let held;
+    if (options.lock) {
+      try {
+        held = await lock(key, { ttl: options.lock.ttl });
+      } catch (error) {
+        if (error.status !== 423) {
+          throw error;
+        }
+        const entry = await wait(key, options.lock);
+        if (entry) {
+          return entry.value;
+        }
+      }
+    }
+
+    /* compute and save value, then release lock */
+    try {
+      const value = await fetcher();
+      await save(key, value, options);
+      return _.isUndefined(value) ? null : value;
+    } finally {
+      if (held) {
+        await held.release();
+      }
+    }
+
+  };
+
+
+  /* compute value once per key in process */
+  const refresh = function (key, fetcher, options) {
+    const id = redis.key(key);
+    if (!pending[id]) {
+      const clear = function () {
+        delete pending[id];
+      };
+      pending[id] = compute(key, fetcher, options);
+      pending[id].then(clear, clear);
+    }
+    return pending[id];
+  };
+
+
+  /* obtain cached value or compute it on miss */
+  const load = async function (key, fetcher, options) {
+    const entry = await get(key);
+    const now = Date.now();
+
+    /* fresh hit */
+    if (isEntry(entry) && entry.expiresAt > now) {
+      return entry.value;
+    }
+
+    /* stale hit, revalidate in background */
+    if (isEntry(entry) && entry.expiresAt + options.stale > now) {
+      refresh(key, fetcher, options).catch(_.noop);
+      return entry.value;
+    }
+
+    /* miss */
+    return refresh(key, fetcher, options);
+  };
+
+
+  /**
+   * @name wrap
+   * @function wrap
+   * @description Obtain cached value of key or compute it using fetcher on
+   * miss and cache it for ttl. Concurrent misses of the same key are
+   * computed once per process.
+   *
+   * @param {String|String[]} key key
+   * @param {Number|String} ttl time to live in seconds or human readable
+   * duration(i.e 500ms, 30s, 5m, 1h or 1d)
+   * @param {Function} fetcher a function which return value or promise
+   * @param {Object} [options] valid wrap options
+   * @param {Number|String} [options.stale] time to serve stale value while
+   * revalidating it in background
+   * @param {Number|String} [options.negativeTtl] time to cache null results.
+   * Null results are not cached if not set
+   * @param {Boolean|Object} [options.lock] whether to take a short redis
+   * lock so only one process recompute value
+   * @param {Number} [options.lock.ttl=5000] lock time to live in
+   * milliseconds
+   * @param {Number} [options.lock.retryDelay=50] time in milliseconds to
+   * wait before checking for value computed by lock holder
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Promise} promise if no callback
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   * @example
+   *
+   * const user = await redis.cache.wrap(['users', id], '5m', function () {
+   *   return User.findById(id);
+   * }, { stale: '1m', negativeTtl: '10s', lock: true });
+   *
+   */
+  exports.wrap = function wrap(key, ttl, fetcher, options, done) {
+
+    /* normalize arguments */
+    if (_.isFunction(options)) {
+      done = options;
+      options = {};
+    }
+
+    /* ensure callback or promise */
+    const { done: cb, promise } = deferred(done);
+
+    /* prepare options, replying invalid durations */
+    let _options;
+    try {
+      const lock = _.get(options, 'lock');
+      _options = _.merge({}, defaults, options, {
+        ttl: milliseconds(ttl),
+        stale: milliseconds(_.get(options, 'stale')),
+        negativeTtl: milliseconds(_.get(options, 'negativeTtl')),
+        lock: lock ?
+          _.merge({}, lockDefaults, _.isPlainObject(lock) ? lock : {}) : false
+      });
+    } catch (error) {
+      cb(error);
+      return promise;
+    }
+
+    /* load value */
+    load(key, fetcher, _options).then(function (value) {
+      cb(null, value);
+    }, cb);
+
+    return promise;
+
+  };
+
+
+  return exports;
+
+};
@@ -6,7 +6,6 @@
  * @author lally elias<lallyelias87@gmail.com>
  * @since 0.4.0
  * @version 0.1.0
- * @singleton
  * @type {Object}
  */
 
@@ -16,234 +15,2074 @@ const path = require('path');
 const _ = require('lodash');
 const flat = require('flat');
 const unflat = require('flat').unflatten;
-const redis = require(path.join(__dirname, 'redis'));
+const { deferred, serializer, serializers, duration } =
+  require(path.join(__dirname, 'utils'));
 
 
-/* noop */
-const noop = function () {};
+/**
+ * @function
+ * @name commands
+ * @description create command helpers bound to redis instance
+ * @param {Object} redis valid redis instance
+ * @return {Object} command helpers
+ * @since 0.6.0
+ * @version 0.1.0
+ * @private
+ */
+module.exports = function (redis) {
+
+  /* command helpers */
+  const exports = {};
+
+
+  /* obtain value serializer of bound context or defaults */
+  const codec = function (context) {
+    const _serializer = _.get(context, 'serializer');
+    return serializer(_serializer || redis.defaults.serializer);
+  };
+
+
+  /* obtain hash field serializer of bound context or defaults, using
+     tagged in place of json(set or default) so field dates keep their type */
+  const fieldCodec = function (context) {
+    const _codec = codec(context);
+    return _codec === serializers.json ? serializers.tagged : _codec;
+  };
+
+
+  /* obtain key builder of bound context or defaults */
+  const keyer = function (context) {
+    return _.get(context, 'key') || redis.key;
+  };
+
 
+  /* reply errors thrown while preparing command(i.e invalid key segment)
+     using callback or rejected promise instead of throwing */
+  const guard = function (helper) {
+    return function (...args) {
 
-/* stringify data to save to redis */
-const stringify = function (value) {
-  /* clone */
-  let _value = _.clone(value);
-  try {
-    if (!_.isString(value)) {
-      _value = JSON.stringify(value);
+      /* track callback invocation, so its own errors are not replied */
+      let replied = false;
+      const done = _.last(args);
+      if (_.isFunction(done)) {
+        args[args.length - 1] = function (...results) {
+          replied = true;
+          return done.apply(this, results);
+        };
+      }
+
+      /* send command, replying preparation errors */
+      try {
+        return helper.apply(this, args);
+      } catch (error) {
+        if (replied) {
+          throw error;
+        }
+        return _.isFunction(done) ? done(error) : Promise.reject(error);
+      }
+
+    };
+  };
+
+
+  /* prepare set command arguments from options */
+  const setArgs = function (options) {
+    const args = [];
+
+    /* expiry */
+    if (_.isString(options.ttl)) {
+      args.push('PX', duration(options.ttl));
+    } else if (_.isNumber(options.ttl)) {
+      args.push('EX', options.ttl);
+    } else if (!_.isNil(options.px)) {
+      args.push('PX', duration(options.px));
+    }
+    if (options.keepTtl) {
+      args.push('KEEPTTL');
     }
-    return _value;
-  } catch (error) {
-    return _value;
-  }
-};
 
-/* parse data from redis */
-const parse = function (value) {
-  /* clone */
-  let _value = _.clone(value);
-  try {
-    _value = JSON.parse(_value);
-    return _value;
-  } catch (error) {
-    return _value;
-  }
-};
+    /* strategy */
+    if (options.nx) {
+      args.push('NX');
+    }
+    if (options.xx) {
+      args.push('XX');
+    }
 
+    /* reply with old value */
+    if (options.get) {
+      args.push('GET');
+    }
 
-/**
- * @name set
- * @function set
- * @description Set key to hold the value. 
- * If key already holds a value, it is overwritten, 
- * regardless of its type.
- * 
- * @param {String} key key
- * @param {Mixed} value value
- * @param {String} [expiry] expiry strategy(i.e PX or EX)
- * @param {Number} [time] expiry time(i.e seconds or milliseconds)
- * @param {String} [strategy] save strategy(i.e NX or XX)
- * @param {Function} [done] a callback to invoke on success or failure
- * @see {@link https://redis.io/commands/set|SET}
- * @since 0.4.0
- * @version 0.1.0
- * @public
- */
-exports.set = function set(key, value, expiry, time, strategy, done) {
+    return args;
+  };
+
+
+  /* pop value from list head or tail */
+  const pop = function (command, key, done) {
 
-  /* do nothing */
-  if (_.isFunction(key)) {
-    return (key && key());
-  }
+    /* do nothing */
+    if (_.isFunction(key)) {
+      return (key && key());
+    }
 
-  /* do nothing */
-  if (_.isFunction(value)) {
-    return (value && value());
-  }
+    /* ensure client */
+    const client = redis.client();
 
-  /* ensure client */
-  const client = redis.client();
+    /* prepare */
+    const { decode } = codec(this);
+    const _key = keyer(this)(key);
 
-  /* prepare */
-  const _key = redis.key(key);
-  const _value = stringify(value);
-  const _expiry = expiry && _.isString(expiry) ? expiry : undefined;
-  const _time = time && _.isNumber(time) ? time : undefined;
-  const _strategy = strategy && _.isString(strategy) ? strategy : undefined;
+    /* callback */
+    const { done: _done, promise } = deferred(done);
+    const cb = function (error, value) {
+      return _done(error, decode(value));
+    };
 
+    /* pop */
+    const result = client[command](_key, cb);
+    return promise || result;
 
-  /* callback */
-  let _cb = noop;
-  _cb = _.isFunction(expiry) ? expiry : _cb;
-  _cb = _.isFunction(time) ? time : _cb;
-  _cb = _.isFunction(strategy) ? strategy : _cb;
-  _cb = _.isFunction(done) ? done : _cb;
-  const cb = function (error) {
-    return _cb && _cb(error, value);
   };
 
 
-  /* compact */
-  const args =
-    _.compact([_key, _value, _expiry, _time, _strategy, cb]);
+  /* idle blocking clients, reused to avoid connection per blocking call */
+  let idle = [];
 
 
-  /* set */
-  return client.set.call(client, ...args);
+  /* obtain idle blocking client still registered or create new one */
+  const acquire = function () {
+    idle = _.filter(idle, function (client) {
+      return _.includes(redis._clients, client);
+    });
+    return idle.pop() || redis.createClient();
+  };
 
-};
 
+  /* keep blocking client for reuse, closing it on failure */
+  const release = function (client, error, done) {
+    if (error) {
+      return redis.closeClient(client, function () {
+        done();
+      });
+    }
+    idle.push(client);
+    done();
+  };
 
-/**
- * @name get
- * @function get
- * @description Get the value of key
- * 
- * @param {String} key key
- * @param {Function} [done] a callback to invoke on success or failure
- * @see {@link https://redis.io/commands/get|GET}
- * @since 0.4.0
- * @version 0.1.0
- * @public
- */
-exports.get = function get(key, done) {
 
-  /* do nothing */
-  if (_.isFunction(key)) {
-    return (key && key());
-  }
+  /* blocking pop value from first non empty list using blocking client */
+  const bpop = function (command, keys, timeout, done) {
+
+    /* do nothing */
+    if (_.isFunction(keys)) {
+      return (keys && keys());
+    }
 
-  /* ensure client */
-  const client = redis.client();
+    /* callback */
+    const _cb = _.isFunction(timeout) ? timeout : done;
+    const { done: _done, promise } = deferred(_cb);
 
-  /* prepare */
-  const _key = redis.key(key);
+    /* prepare */
+    const { decode } = codec(this);
+    keys = [].concat(keys);
+    const _keys = _.map(keys, _.unary(keyer(this)));
+    const _timeout = _.isNumber(timeout) ? timeout : 0;
+
+    /* use idle blocking client, as blocking commands block the connection */
+    const client = acquire();
+    const cb = function (error, reply) {
+      release(client, error, function () {
+        if (error || !reply) {
+          return _done(error, null);
+        }
+        const [_key, value] = reply;
+        return _done(null, [keys[_keys.indexOf(_key)], decode(value)]);
+      });
+    };
+
+    /* pop */
+    const result = client[command](..._keys, _timeout, cb);
+    return promise || result;
 
-  /* callback */
-  let _cb = noop;
-  _cb = _.isFunction(done) ? done : _cb;
-  const cb = function (error, value) {
-    return _cb && _cb(error, parse(value));
   };
 
 
-  /* compact */
-  const args = _.compact([_key, cb]);
+  /* split trailing callback from variadic arguments */
+  const variadic = function (args) {
+    args = [].concat(...args);
+    const done = _.isFunction(_.last(args)) ? args.pop() : undefined;
+    return { args, done };
+  };
 
 
-  /* set */
-  return client.get.call(client, ...args);
+  /* send single key only command */
+  const keyed = function (command, key, done) {
 
-};
+    /* do nothing */
+    if (_.isFunction(key)) {
+      return (key && key());
+    }
 
+    /* ensure client */
+    const client = redis.client();
 
-/**
- * @name hmset
- * @function hmset
- * @description Sets the specified fields to their respective values 
- * in the hash stored at key. 
- * 
- * @param {String} key key
- * @param {Object} value value
- * @param {Function} [done] a callback to invoke on success or failure
- * @see {@link https://redis.io/commands/hmset|HMSET}
- * @since 0.4.0
- * @version 0.1.0
- * @public
- */
-exports.hmset = function hmset(key, value, done) {
+    /* prepare */
+    const _key = keyer(this)(key);
 
-  /* do nothing */
-  if (_.isFunction(key)) {
-    return (key && key());
-  }
+    /* callback */
+    const { done: cb, promise } = deferred(done);
 
-  /* do nothing */
-  if (_.isFunction(value)) {
-    return (value && value());
-  }
+    /* send */
+    const result = client[command](_key, cb);
+    return promise || result;
+
+  };
 
-  /* ensure client */
-  const client = redis.client();
 
-  /* prepare */
-  const _key = redis.key(key);
-  const _value = flat(value);
+  /* send multiple keys only command */
+  const multikeyed = function (command, ...keys) {
+
+    /* callback */
+    const { args, done } = variadic(keys);
+    const { done: cb, promise } = deferred(done);
+
+    /* do nothing */
+    if (_.isEmpty(args)) {
+      cb();
+      return promise;
+    }
+
+    /* ensure client */
+    const client = redis.client();
+
+    /* prepare */
+    const _keys = _.map(args, _.unary(keyer(this)));
+
+    /* send */
+    const result = client[command](..._keys, cb);
+    return promise || result;
 
-  /* callback */
-  let _cb = noop;
-  _cb = _.isFunction(done) ? done : _cb;
-  const cb = function (error) {
-    return _cb && _cb(error, value);
   };
 
-  /* compact */
-  const args = _.compact([_key, _value, cb]);
 
+  /* parse sorted set reply, pairing members with scores if requested */
+  const scored = function (reply, withScores, decode) {
+    if (!withScores) {
+      return _.map(reply, _.unary(decode));
+    }
+    return _.map(_.chunk(reply, 2), function ([member, score]) {
+      return { member: decode(member), score: Number(score) };
+    });
+  };
 
-  /* set */
-  return client.hmset.call(client, ...args);
 
-};
+  /* send values command to a list, set or sorted set */
+  const mutate = function (command, key, ...values) {
 
+    /* do nothing */
+    if (_.isFunction(key)) {
+      return (key && key());
+    }
 
-/**
- * @name hgetall
- * @function hgetall
- * @description Returns all fields and values of the hash stored at key
- * 
- * @param {String} key key
- * @param {Function} [done] a callback to invoke on success or failure
- * @see {@link https://redis.io/commands/hgetall|HGETALL}
- * @since 0.4.0
- * @version 0.1.0
- * @public
- */
-exports.hgetall = function hgetall(key, done) {
+    /* callback */
+    const { args, done } = variadic(values);
+    const { done: cb, promise } = deferred(done);
+
+    /* ensure client */
+    const client = redis.client();
+
+    /* prepare */
+    const { encode } = codec(this);
+    const _key = keyer(this)(key);
+    const _values = _.map(args, _.unary(encode));
+
+    /* send */
+    const result = client[command](_key, ..._values, cb);
+    return promise || result;
+
+  };
+
+
+  /* send multi keys command to sets */
+  const combine = function (command, ...keys) {
+
+    /* serializer */
+    const { decode } = codec(this);
+
+    /* callback */
+    const { args, done } = variadic(keys);
+    const { done: _done, promise } = deferred(done);
+    const cb = function (error, values) {
+      return _done(error, _.map(values, _.unary(decode)));
+    };
+
+    /* ensure client */
+    const client = redis.client();
+
+    /* prepare */
+    const _keys = _.map(args, _.unary(keyer(this)));
+
+    /* send */
+    const result = client[command](..._keys, cb);
+    return promise || result;
+
+  };
+
+
+  /* range sorted set by index */
+  const range = function (command, key, start, stop, options, done) {
+
+    /* do nothing */
+    if (_.isFunction(key)) {
+      return (key && key());
+    }
+
+    /* ensure client */
+    const client = redis.client();
+
+    /* prepare */
+    const { decode } = codec(this);
+    const _key = keyer(this)(key);
+    const _start = _.isNumber(start) ? start : 0;
+    const _stop = _.isNumber(stop) ? stop : -1;
+    const _options = _.isPlainObject(options) ? options : {};
+    const _withScores = _options.withScores ? 'WITHSCORES' : undefined;
+
+    /* callback */
+    let _cb;
+    _cb = _.isFunction(start) ? start : _cb;
+    _cb = _.isFunction(stop) ? stop : _cb;
+    _cb = _.isFunction(options) ? options : _cb;
+    _cb = _.isFunction(done) ? done : _cb;
+    const { done: _done, promise } = deferred(_cb);
+    const cb = function (error, reply) {
+      return _done(error, scored(reply, _withScores, decode));
+    };
+
+    /* prepare arguments */
+    const args = [_key, _start, _stop].concat(_withScores || [], cb);
+
+    /* range */
+    const result = client[command](...args);
+    return promise || result;
+
+  };
+
+
+  /* normalize hash field dot path i.e profile.address.city */
+  const fieldPath = function (field) {
+    return [].concat(field).join('.');
+  };
+
+
+  /* flatten object to dot path hash fields with encoded values */
+  const flatten = function (value, encode) {
+    return _.mapValues(_.omitBy(flat(value), _.isUndefined), _.unary(encode));
+  };
+
+
+  /* unflatten dot path hash fields to object with decoded values */
+  const unflatten = function (fields, decode) {
+    return fields ? unflat(_.mapValues(fields, _.unary(decode))) : fields;
+  };
+
+
+  /* find hash fields stored under dot path */
+  const subfields = function (client, key, field, done) {
+    client.hkeys(key, function (error, fields) {
+      const prefix = field + '.';
+      return done(error, _.filter(fields, function (_field) {
+        return _field === field || _.startsWith(_field, prefix);
+      }));
+    });
+  };
+
+
+  /**
+   * @name set
+   * @function set
+   * @description Set key to hold the value. 
+   * If key already holds a value, it is overwritten, 
+   * regardless of its type.
+   * 
+   * @param {String} key key
+   * @param {Mixed} value value
+   * @param {Object|String} [options] valid set options or expiry
+   * strategy(i.e PX or EX)
+   * @param {Number|String} [options.ttl] time to live in seconds or human
+   * readable duration(i.e 500ms, 30s, 5m, 1h or 1d)
+   * @param {Number|String} [options.px] time to live in milliseconds or
+   * human readable duration
+   * @param {Boolean} [options.nx] only set if key does not exist
+   * @param {Boolean} [options.xx] only set if key already exist
+   * @param {Boolean} [options.keepTtl] retain time to live of the key
+   * @param {Boolean} [options.get] reply with old value of the key
+   * @param {Number} [time] expiry time(i.e seconds or milliseconds)
+   * @param {String} [strategy] save strategy(i.e NX or XX)
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Promise} promise if no callback
+   * @see {@link https://redis.io/commands/set|SET}
+   * @since 0.4.0
+   * @version 0.2.0
+   * @public
+   * @example
+   *
+   * set('users:1', user, { ttl: '5m', nx: true }, done);
+   *
+   */
+  exports.set = function set(key, value, expiry, time, strategy, done) {
+
+    /* do nothing */
+    if (_.isFunction(key)) {
+      return (key && key());
+    }
+
+    /* do nothing */
+    if (_.isFunction(value)) {
+      return (value && value());
+    }
+
+    /* ensure client */
+    const client = redis.client();
+
+    /* prepare */
+    const { encode, decode } = codec(this);
+    const _key = keyer(this)(key);
+    const _value = encode(value);
+    const _options = _.isPlainObject(expiry) ? expiry : undefined;
+    const _args = _options ? setArgs(_options) : _.filter([
+      _.isString(expiry) ? expiry : undefined,
+      _.isNumber(time) ? time : undefined,
+      _.isString(strategy) ? strategy : undefined
+    ], _.negate(_.isUndefined));
+
+
+    /* callback */
+    let _cb;
+    _cb = _.isFunction(expiry) ? expiry : _cb;
+    _cb = _.isFunction(time) ? time : _cb;
+    _cb = _.isFunction(strategy) ? strategy : _cb;
+    _cb = _.isFunction(done) ? done : _cb;
+    const { done: _done, promise } = deferred(_cb);
+    const cb = function (error, reply) {
+
+      /* reply with old value */
+      if (_.get(_options, 'get')) {
+        return _done(error, error ? undefined : decode(reply));
+      }
+
+      /* reply with value if set */
+      return _done(error, _.isNull(reply) ? null : value);
+
+    };
+
+
+    /* set */
+    const result = client.set(_key, _value, ..._args, cb);
+    return promise || result;
+
+  };
+
+
+  /**
+   * @name get
+   * @function get
+   * @description Get the value of key
+   * 
+   * @param {String} key key
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Promise} promise if no callback
+   * @see {@link https://redis.io/commands/get|GET}
+   * @since 0.4.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.get = function get(key, done) {
+
+    /* do nothing */
+    if (_.isFunction(key)) {
+      return (key && key());
+    }
+
+    /* ensure client */
+    const client = redis.client();
+
+    /* prepare */
+    const { decode } = codec(this);
+    const _key = keyer(this)(key);
+
+    /* callback */
+    const { done: _done, promise } = deferred(done);
+    const cb = function (error, value) {
+      return _done(error, decode(value));
+    };
+
+
+    /* compact */
+    const args = _.compact([_key, cb]);
+
+
+    /* get */
+    const result = client.get.call(client, ...args);
+    return promise || result;
+
+  };
+
+
+  /**
+   * @name mget
+   * @function mget
+   * @description Returns the values of all specified keys in order.
+   * 
+   * @param {String|String[]} keys key or collection of keys
+   * @param {Object} [options] valid mget options
+   * @param {Boolean} [options.map] whether to reply with key to value map
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Array|Object|Promise} values(null for missing keys) or promise
+   * if no callback
+   * @see {@link https://redis.io/commands/mget|MGET}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   * @example
+   *
+   * mget(['users:1', 'users:2'], { map: true }, done);
+   * //=> { 'users:1': {...}, 'users:2': null }
+   *
+   */
+  exports.mget = function mget(keys, options, done) {
+
+    /* do nothing */
+    if (_.isFunction(keys)) {
+      return (keys && keys());
+    }
+
+    /* prepare */
+    const { decode } = codec(this);
+    const _keys = [].concat(keys);
+    const _options = _.isPlainObject(options) ? options : {};
+
+    /* callback */
+    const _cb = _.isFunction(options) ? options : done;
+    const { done: _done, promise } = deferred(_cb);
+    const cb = function (error, values) {
+      if (error) {
+        return _done(error);
+      }
+      values = _.map(values, _.unary(decode));
+      return _done(null, _options.map ? _.zipObject(_keys, values) : values);
+    };
+
+    /* do nothing */
+    if (_.isEmpty(_keys)) {
+      cb(null, []);
+      return promise;
+    }
+
+    /* ensure client */
+    const client = redis.client();
+
+
+    /* get */
+    const result = client.mget(_.map(_keys, _.unary(keyer(this))), cb);
+    return promise || result;
+
+  };
+
+
+  /**
+   * @name mset
+   * @function mset
+   * @description Sets the given keys to their respective values atomically,
+   * optionally expiring all of them.
+   * 
+   * @param {Object} values key to value map
+   * @param {Object} [options] valid mset options
+   * @param {Number|String} [options.ttl] time to live in seconds or human
+   * readable duration(i.e 500ms, 30s, 5m, 1h or 1d)
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Promise} promise if no callback
+   * @see {@link https://redis.io/commands/mset|MSET}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   * @example
+   *
+   * mset({ 'users:1': john, 'users:2': jane }, { ttl: '5m' }, done);
+   *
+   */
+  exports.mset = function mset(values, options, done) {
+
+    /* do nothing */
+    if (_.isFunction(values)) {
+      return (values && values());
+    }
+
+    /* prepare */
+    const { encode } = codec(this);
+    const _options = _.isPlainObject(options) ? options : {};
+    const prefixed = keyer(this);
+    const _values = _.mapValues(_.mapKeys(values, function (value, key) {
+      return prefixed(key);
+    }), _.unary(encode));
+    const _ttl = _options.ttl;
+
+    /* callback */
+    const _cb = _.isFunction(options) ? options : done;
+    const { done: _done, promise } = deferred(_cb);
+    const cb = function (error) {
+      return _done(error, values);
+    };
+
+    /* do nothing */
+    if (_.isEmpty(_values)) {
+      cb();
+      return promise;
+    }
+
+    /* queue set and expiry of each key in a transaction */
+    const multi = redis.multi();
+    multi.mset(_.flatten(_.toPairs(_values)));
+    if (!_.isNil(_ttl)) {
+      const _command = _.isString(_ttl) ? 'pexpire' : 'expire';
+      const _time = _.isString(_ttl) ? duration(_ttl) : _ttl;
+      _.forEach(_.keys(_values), function (key) {
+        multi[_command](key, _time);
+      });
+    }
+
+
+    /* set */
+    const result = multi.exec(cb);
+    return promise || result;
+
+  };
+
+
+  /**
+   * @name expire
+   * @function expire
+   * @description Set a timeout on key. After the timeout has expired,
+   * the key will automatically be deleted.
+   * 
+   * @param {String} key key
+   * @param {Number|String} ttl time to live in seconds or human readable
+   * duration(i.e 500ms, 30s, 5m, 1h or 1d)
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Boolean|Promise} whether timeout was set or promise if
+   * no callback
+   * @see {@link https://redis.io/commands/expire|EXPIRE}
+   * @see {@link https://redis.io/commands/pexpire|PEXPIRE}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.expire = function expire(key, ttl, done) {
+
+    /* do nothing */
+    if (_.isFunction(key)) {
+      return (key && key());
+    }
+
+    /* ensure client */
+    const client = redis.client();
+
+    /* prepare */
+    const _key = keyer(this)(key);
+    const _command = _.isString(ttl) ? 'pexpire' : 'expire';
+    const _ttl = _.isString(ttl) ? duration(ttl) : ttl;
+
+    /* callback */
+    const { done: _done, promise } = deferred(done);
+    const cb = function (error, reply) {
+      return _done(error, reply === 1);
+    };
+
+
+    /* expire */
+    const result = client[_command](_key, _ttl, cb);
+    return promise || result;
+
+  };
+
+
+  /**
+   * @name ttl
+   * @function ttl
+   * @description Returns the remaining time to live of a key in seconds.
+   * 
+   * @param {String} key key
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Number|Promise} time to live(-1 if key has no expiry and -2
+   * if key does not exist) or promise if no callback
+   * @see {@link https://redis.io/commands/ttl|TTL}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.ttl = function ttl(key, done) {
+    return keyed.call(this, 'ttl', key, done);
+  };
+
+
+  /**
+   * @name pttl
+   * @function pttl
+   * @description Returns the remaining time to live of a key in
+   * milliseconds.
+   * 
+   * @param {String} key key
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Number|Promise} time to live(-1 if key has no expiry and -2
+   * if key does not exist) or promise if no callback
+   * @see {@link https://redis.io/commands/pttl|PTTL}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.pttl = function pttl(key, done) {
+    return keyed.call(this, 'pttl', key, done);
+  };
+
+
+  /**
+   * @name persist
+   * @function persist
+   * @description Remove the existing timeout on key.
+   * 
+   * @param {String} key key
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Boolean|Promise} whether timeout was removed or promise if
+   * no callback
+   * @see {@link https://redis.io/commands/persist|PERSIST}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.persist = function persist(key, done) {
+
+    /* do nothing */
+    if (_.isFunction(key)) {
+      return (key && key());
+    }
+
+    /* ensure client */
+    const client = redis.client();
+
+    /* prepare */
+    const _key = keyer(this)(key);
+
+    /* callback */
+    const { done: _done, promise } = deferred(done);
+    const cb = function (error, reply) {
+      return _done(error, reply === 1);
+    };
+
+
+    /* persist */
+    const result = client.persist(_key, cb);
+    return promise || result;
+
+  };
+
+
+  /**
+   * @name del
+   * @function del
+   * @description Removes the specified keys.
+   * 
+   * @param {...String} keys key or collection of keys
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Number|Promise} number of removed keys or promise if
+   * no callback
+   * @see {@link https://redis.io/commands/del|DEL}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.del = function del(...keys) {
+    return multikeyed.call(this, 'del', ...keys);
+  };
+
+
+  /**
+   * @name exists
+   * @function exists
+   * @description Returns number of the specified keys that exist.
+   * 
+   * @param {...String} keys key or collection of keys
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Number|Promise} number of existing keys or promise if
+   * no callback
+   * @see {@link https://redis.io/commands/exists|EXISTS}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.exists = function exists(...keys) {
+    return multikeyed.call(this, 'exists', ...keys);
+  };
+
+
+  /**
+   * @name hmset
+   * @function hmset
+   * @description Sets the specified fields to their respective values 
+   * in the hash stored at key. 
+   * 
+   * Nested objects are flattened to dot path fields and each field value
+   * is encoded using the serializer to preserve its type(i.e numbers,
+   * booleans, null, dates and empty collections).
+   * 
+   * @param {String} key key
+   * @param {Object} value value
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Promise} promise if no callback
+   * @see {@link https://redis.io/commands/hmset|HMSET}
+   * @since 0.4.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.hmset = function hmset(key, value, done) {
+
+    /* do nothing */
+    if (_.isFunction(key)) {
+      return (key && key());
+    }
+
+    /* do nothing */
+    if (_.isFunction(value)) {
+      return (value && value());
+    }
+
+    /* ensure client */
+    const client = redis.client();
+
+    /* prepare */
+    const { encode } = fieldCodec(this);
+    const _key = keyer(this)(key);
+    const _value = flatten(value, encode);
+
+    /* callback */
+    const { done: _done, promise } = deferred(done);
+    const cb = function (error) {
+      return _done(error, value);
+    };
+
+    /* compact */
+    const args = _.compact([_key, _value, cb]);
+
+
+    /* set */
+    const result = client.hmset.call(client, ...args);
+    return promise || result;
+
+  };
+
+
+  /**
+   * @name hgetall
+   * @function hgetall
+   * @description Returns all fields and values of the hash stored at key
+   * with their original types.
+   * 
+   * @param {String} key key
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Promise} promise if no callback
+   * @see {@link https://redis.io/commands/hgetall|HGETALL}
+   * @since 0.4.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.hgetall = function hgetall(key, done) {
+
+    /* do nothing */
+    if (_.isFunction(key)) {
+      return (key && key());
+    }
+
+    /* ensure client */
+    const client = redis.client();
+
+    /* prepare */
+    const { decode } = fieldCodec(this);
+    const _key = keyer(this)(key);
+
+    /* callback */
+    const { done: _done, promise } = deferred(done);
+    const cb = function (error, value) {
+      return _done(error, unflatten(value, decode));
+    };
+
+
+    /* compact */
+    const args = _.compact([_key, cb]);
+
+
+    /* get */
+    const result = client.hgetall.call(client, ...args);
+    return promise || result;
+
+  };
+
+  /**
+   * @name hget
+   * @function hget
+   * @description Returns the value associated with dot path field in the
+   * hash stored at key. Nested object is returned if field is a parent
+   * of other fields.
+   * 
+   * @param {String} key key
+   * @param {String|String[]} field field dot path(i.e profile.address.city)
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Promise} promise if no callback
+   * @see {@link https://redis.io/commands/hget|HGET}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.hget = function hget(key, field, done) {
+
+    /* do nothing */
+    if (_.isFunction(key)) {
+      return (key && key());
+    }
+
+    /* ensure client */
+    const client = redis.client();
+
+    /* prepare */
+    const { decode } = fieldCodec(this);
+    const _key = keyer(this)(key);
+    const _field = fieldPath(field);
+
+    /* callback */
+    const { done: _done, promise } = deferred(done);
+    const cb = function (error, value) {
+
+      /* reply with field value */
+      if (error || !_.isNull(value)) {
+        return _done(error, error ? undefined : decode(value));
+      }
+
+      /* collect nested fields */
+      subfields(client, _key, _field, function (error, fields) {
+        if (error || _.isEmpty(fields)) {
+          return _done(error, null);
+        }
+        client.hmget(_key, fields, function (error, values) {
+          if (error) {
+            return _done(error);
+          }
+          const prefix = _field + '.';
+          fields = _.map(fields, function (field) {
+            return field.substr(prefix.length);
+          });
+          return _done(null, unflatten(_.zipObject(fields, values), decode));
+        });
+      });
+
+    };
 
-  /* do nothing */
-  if (_.isFunction(key)) {
-    return (key && key());
-  }
 
-  /* ensure client */
-  const client = redis.client();
+    /* get */
+    const result = client.hget(_key, _field, cb);
+    return promise || result;
 
-  /* prepare */
-  const _key = redis.key(key);
+  };
+
+
+  /**
+   * @name hset
+   * @function hset
+   * @description Sets dot path field in the hash stored at key to value.
+   * Object value is flattened under the field, updating only its fields.
+   * Stored parent fields and nested fields of a scalar value are removed,
+   * so the hash always unflattens to the written value.
+   * 
+   * @param {String} key key
+   * @param {String|String[]} field field dot path(i.e profile.address.city)
+   * @param {Mixed} value value
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Promise} promise if no callback
+   * @see {@link https://redis.io/commands/hmset|HMSET}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.hset = function hset(key, field, value, done) {
+
+    /* do nothing */
+    if (_.isFunction(key)) {
+      return (key && key());
+    }
+
+    /* ensure client */
+    const client = redis.client();
+
+    /* prepare */
+    const { encode } = fieldCodec(this);
+    const _key = keyer(this)(key);
+    const _value = flatten({
+      [fieldPath(field)]: value
+    }, encode);
+
+    /* callback */
+    const { done: _done, promise } = deferred(done);
+    const cb = function (error) {
+      return _done(error, value);
+    };
+
+
+    /* remove stored parent and nested fields conflicting with written
+       fields, then set in a transaction */
+    const result = client.hkeys(_key, function (error, stored) {
+      if (error) {
+        return cb(error);
+      }
+      const conflicts = _.filter(stored, function (field) {
+        return _.some(_.keys(_value), function (_field) {
+          return _.startsWith(_field, field + '.') ||
+            _.startsWith(field, _field + '.');
+        });
+      });
+      const multi = redis.multi();
+      if (!_.isEmpty(conflicts)) {
+        multi.hdel(_key, conflicts);
+      }
+      multi.hmset(_key, _value);
+      multi.exec(cb);
+    });
+    return promise || result;
+
+  };
+
+
+  /**
+   * @name hdel
+   * @function hdel
+   * @description Removes the specified dot path fields and their nested
+   * fields from the hash stored at key.
+   * 
+   * @param {String} key key
+   * @param {String|String[]} fields field dot path or collection of paths
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Number|Promise} number of removed fields or promise if
+   * no callback
+   * @see {@link https://redis.io/commands/hdel|HDEL}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.hdel = function hdel(key, fields, done) {
+
+    /* do nothing */
+    if (_.isFunction(key)) {
+      return (key && key());
+    }
+
+    /* ensure client */
+    const client = redis.client();
+
+    /* prepare */
+    const _key = keyer(this)(key);
+    const _fields = _.map([].concat(fields), fieldPath);
+
+    /* callback */
+    const { done: cb, promise } = deferred(done);
+
+
+    /* collect nested fields and remove them */
+    const result = client.hkeys(_key, function (error, stored) {
+      if (error) {
+        return cb(error);
+      }
+      const matched = _.filter(stored, function (field) {
+        return _.some(_fields, function (_field) {
+          return field === _field || _.startsWith(field, _field + '.');
+        });
+      });
+      if (_.isEmpty(matched)) {
+        return cb(null, 0);
+      }
+      client.hdel(_key, matched, cb);
+    });
+    return promise || result;
+
+  };
+
+
+  /**
+   * @name hincrby
+   * @function hincrby
+   * @description Increments the number stored at dot path field in the
+   * hash stored at key by increment.
+   * 
+   * @param {String} key key
+   * @param {String|String[]} field field dot path(i.e stats.views)
+   * @param {Number} [increment=1] increment
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Number|Promise} value after increment or promise if
+   * no callback
+   * @see {@link https://redis.io/commands/hincrby|HINCRBY}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.hincrby = function hincrby(key, field, increment, done) {
+
+    /* do nothing */
+    if (_.isFunction(key)) {
+      return (key && key());
+    }
+
+    /* ensure client */
+    const client = redis.client();
+
+    /* prepare */
+    const _key = keyer(this)(key);
+    const _field = fieldPath(field);
+    const _increment = _.isNumber(increment) ? increment : 1;
+
+    /* callback */
+    const _cb = _.isFunction(increment) ? increment : done;
+    const { done: cb, promise } = deferred(_cb);
+
+
+    /* increment */
+    const result = client.hincrby(_key, _field, _increment, cb);
+    return promise || result;
+
+  };
+
+
+  /**
+   * @name hexists
+   * @function hexists
+   * @description Check if dot path field or its nested fields exists in
+   * the hash stored at key.
+   * 
+   * @param {String} key key
+   * @param {String|String[]} field field dot path(i.e profile.address)
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Boolean|Promise} whether field exists or promise if no callback
+   * @see {@link https://redis.io/commands/hexists|HEXISTS}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.hexists = function hexists(key, field, done) {
+
+    /* do nothing */
+    if (_.isFunction(key)) {
+      return (key && key());
+    }
+
+    /* ensure client */
+    const client = redis.client();
+
+    /* prepare */
+    const _key = keyer(this)(key);
+    const _field = fieldPath(field);
+
+    /* callback */
+    const { done: _done, promise } = deferred(done);
+    const cb = function (error, exists) {
+
+      /* reply if field exists */
+      if (error || exists === 1) {
+        return _done(error, exists === 1);
+      }
+
+      /* check nested fields */
+      subfields(client, _key, _field, function (error, fields) {
+        return _done(error, !_.isEmpty(fields));
+      });
+
+    };
+
+
+    /* check */
+    const result = client.hexists(_key, _field, cb);
+    return promise || result;
+
+  };
+
+
+  /**
+   * @name hkeys
+   * @function hkeys
+   * @description Returns all dot path fields in the hash stored at key.
+   * 
+   * @param {String} key key
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {String[]|Promise} fields or promise if no callback
+   * @see {@link https://redis.io/commands/hkeys|HKEYS}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.hkeys = function hkeys(key, done) {
+
+    /* do nothing */
+    if (_.isFunction(key)) {
+      return (key && key());
+    }
+
+    /* ensure client */
+    const client = redis.client();
+
+    /* prepare */
+    const _key = keyer(this)(key);
+
+    /* callback */
+    const { done: cb, promise } = deferred(done);
+
+
+    /* fields */
+    const result = client.hkeys(_key, cb);
+    return promise || result;
+
+  };
+
+
+  /**
+   * @name lpush
+   * @function lpush
+   * @description Insert all the specified values at the head of the list
+   * stored at key.
+   * 
+   * @param {String} key key
+   * @param {...Mixed} values value or collection of values
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Number|Promise} length of the list or promise if no callback
+   * @see {@link https://redis.io/commands/lpush|LPUSH}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.lpush = function lpush(key, ...values) {
+    return mutate.call(this, 'lpush', key, ...values);
+  };
+
+
+  /**
+   * @name rpush
+   * @function rpush
+   * @description Insert all the specified values at the tail of the list
+   * stored at key.
+   * 
+   * @param {String} key key
+   * @param {...Mixed} values value or collection of values
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Number|Promise} length of the list or promise if no callback
+   * @see {@link https://redis.io/commands/rpush|RPUSH}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.rpush = function rpush(key, ...values) {
+    return mutate.call(this, 'rpush', key, ...values);
+  };
+
+
+  /**
+   * @name lpop
+   * @function lpop
+   * @description Removes and returns the first value of the list stored
+   * at key.
+   * 
+   * @param {String} key key
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Promise} promise if no callback
+   * @see {@link https://redis.io/commands/lpop|LPOP}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.lpop = function lpop(key, done) {
+    return pop.call(this, 'lpop', key, done);
+  };
+
+
+  /**
+   * @name rpop
+   * @function rpop
+   * @description Removes and returns the last value of the list stored
+   * at key.
+   * 
+   * @param {String} key key
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Promise} promise if no callback
+   * @see {@link https://redis.io/commands/rpop|RPOP}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.rpop = function rpop(key, done) {
+    return pop.call(this, 'rpop', key, done);
+  };
+
+
+  /**
+   * @name lrange
+   * @function lrange
+   * @description Returns the specified values of the list stored at key.
+   * 
+   * @param {String} key key
+   * @param {Number} [start=0] start offset
+   * @param {Number} [stop=-1] stop offset
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Promise} promise if no callback
+   * @see {@link https://redis.io/commands/lrange|LRANGE}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.lrange = function lrange(key, start, stop, done) {
+
+    /* do nothing */
+    if (_.isFunction(key)) {
+      return (key && key());
+    }
+
+    /* ensure client */
+    const client = redis.client();
+
+    /* prepare */
+    const { decode } = codec(this);
+    const _key = keyer(this)(key);
+    const _start = _.isNumber(start) ? start : 0;
+    const _stop = _.isNumber(stop) ? stop : -1;
+
+    /* callback */
+    let _cb;
+    _cb = _.isFunction(start) ? start : _cb;
+    _cb = _.isFunction(stop) ? stop : _cb;
+    _cb = _.isFunction(done) ? done : _cb;
+    const { done: _done, promise } = deferred(_cb);
+    const cb = function (error, values) {
+      return _done(error, _.map(values, _.unary(decode)));
+    };
+
+
+    /* range */
+    const result = client.lrange(_key, _start, _stop, cb);
+    return promise || result;
+
+  };
+
+
+  /**
+   * @name llen
+   * @function llen
+   * @description Returns the length of the list stored at key.
+   * 
+   * @param {String} key key
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Number|Promise} length of the list or promise if no callback
+   * @see {@link https://redis.io/commands/llen|LLEN}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.llen = function llen(key, done) {
+
+    /* do nothing */
+    if (_.isFunction(key)) {
+      return (key && key());
+    }
+
+    /* ensure client */
+    const client = redis.client();
+
+    /* prepare */
+    const _key = keyer(this)(key);
+
+    /* callback */
+    const { done: cb, promise } = deferred(done);
+
+
+    /* length */
+    const result = client.llen(_key, cb);
+    return promise || result;
+
+  };
+
+
+  /**
+   * @name ltrim
+   * @function ltrim
+   * @description Trim an existing list so that it will contain only the
+   * specified range of values.
+   * 
+   * @param {String} key key
+   * @param {Number} start start offset
+   * @param {Number} stop stop offset
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Promise} promise if no callback
+   * @see {@link https://redis.io/commands/ltrim|LTRIM}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.ltrim = function ltrim(key, start, stop, done) {
+
+    /* do nothing */
+    if (_.isFunction(key)) {
+      return (key && key());
+    }
+
+    /* ensure client */
+    const client = redis.client();
+
+    /* prepare */
+    const _key = keyer(this)(key);
+
+    /* callback */
+    const { done: cb, promise } = deferred(done);
+
+
+    /* trim */
+    const result = client.ltrim(_key, start, stop, cb);
+    return promise || result;
+
+  };
+
+
+  /**
+   * @name lrem
+   * @function lrem
+   * @description Removes the first count occurrences of values equal to
+   * value from the list stored at key.
+   * 
+   * @param {String} key key
+   * @param {Number} count number of occurrences to remove(0 to remove all,
+   * negative to remove from tail)
+   * @param {Mixed} value value
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Number|Promise} number of removed values or promise if
+   * no callback
+   * @see {@link https://redis.io/commands/lrem|LREM}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.lrem = function lrem(key, count, value, done) {
+
+    /* do nothing */
+    if (_.isFunction(key)) {
+      return (key && key());
+    }
+
+    /* ensure client */
+    const client = redis.client();
+
+    /* prepare */
+    const { encode } = codec(this);
+    const _key = keyer(this)(key);
+    const _value = encode(value);
+
+    /* callback */
+    const { done: cb, promise } = deferred(done);
+
+
+    /* remove */
+    const result = client.lrem(_key, count, _value, cb);
+    return promise || result;
+
+  };
+
+
+  /**
+   * @name blpop
+   * @function blpop
+   * @description Blocking version of lpop. Pop first value of the first
+   * non empty list of the given keys or wait until timeout.
+   * 
+   * Idle blocking connection is reused or created, so the shared client is
+   * never blocked.
+   * 
+   * @param {String|String[]} keys key or collection of keys
+   * @param {Number} [timeout=0] time in seconds to block(0 to block
+   * indefinitely)
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Array|Promise} `[key, value]` or promise if no callback
+   * @see {@link https://redis.io/commands/blpop|BLPOP}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.blpop = function blpop(keys, timeout, done) {
+    return bpop.call(this, 'blpop', keys, timeout, done);
+  };
+
+
+  /**
+   * @name brpop
+   * @function brpop
+   * @description Blocking version of rpop. Pop last value of the first
+   * non empty list of the given keys or wait until timeout.
+   * 
+   * Idle blocking connection is reused or created, so the shared client is
+   * never blocked.
+   * 
+   * @param {String|String[]} keys key or collection of keys
+   * @param {Number} [timeout=0] time in seconds to block(0 to block
+   * indefinitely)
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Array|Promise} `[key, value]` or promise if no callback
+   * @see {@link https://redis.io/commands/brpop|BRPOP}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.brpop = function brpop(keys, timeout, done) {
+    return bpop.call(this, 'brpop', keys, timeout, done);
+  };
+
+
+  /**
+   * @name sadd
+   * @function sadd
+   * @description Add the specified members to the set stored at key.
+   * 
+   * @param {String} key key
+   * @param {...Mixed} members member or collection of members
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Number|Promise} number of added members or promise if
+   * no callback
+   * @see {@link https://redis.io/commands/sadd|SADD}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.sadd = function sadd(key, ...members) {
+    return mutate.call(this, 'sadd', key, ...members);
+  };
+
+
+  /**
+   * @name srem
+   * @function srem
+   * @description Remove the specified members from the set stored at key.
+   * 
+   * @param {String} key key
+   * @param {...Mixed} members member or collection of members
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Number|Promise} number of removed members or promise if
+   * no callback
+   * @see {@link https://redis.io/commands/srem|SREM}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.srem = function srem(key, ...members) {
+    return mutate.call(this, 'srem', key, ...members);
+  };
+
+
+  /**
+   * @name smembers
+   * @function smembers
+   * @description Returns all the members of the set stored at key.
+   * 
+   * @param {String} key key
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Array|Promise} set members or promise if no callback
+   * @see {@link https://redis.io/commands/smembers|SMEMBERS}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.smembers = function smembers(key, done) {
+
+    /* do nothing */
+    if (_.isFunction(key)) {
+      return (key && key());
+    }
+
+    /* ensure client */
+    const client = redis.client();
+
+    /* prepare */
+    const { decode } = codec(this);
+    const _key = keyer(this)(key);
+
+    /* callback */
+    const { done: _done, promise } = deferred(done);
+    const cb = function (error, values) {
+      return _done(error, _.map(values, _.unary(decode)));
+    };
+
+
+    /* obtain members */
+    const result = client.smembers(_key, cb);
+    return promise || result;
+
+  };
+
+
+  /**
+   * @name sismember
+   * @function sismember
+   * @description Check if member is a member of the set stored at key.
+   * 
+   * @param {String} key key
+   * @param {Mixed} member member
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Boolean|Promise} whether is member or promise if no callback
+   * @see {@link https://redis.io/commands/sismember|SISMEMBER}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.sismember = function sismember(key, member, done) {
+
+    /* do nothing */
+    if (_.isFunction(key)) {
+      return (key && key());
+    }
+
+    /* ensure client */
+    const client = redis.client();
+
+    /* prepare */
+    const { encode } = codec(this);
+    const _key = keyer(this)(key);
+    const _member = encode(member);
+
+    /* callback */
+    const { done: _done, promise } = deferred(done);
+    const cb = function (error, reply) {
+      return _done(error, reply === 1);
+    };
+
+
+    /* check */
+    const result = client.sismember(_key, _member, cb);
+    return promise || result;
 
-  /* callback */
-  let _cb = noop;
-  _cb = _.isFunction(done) ? done : _cb;
-  const cb = function (error, value) {
-    return _cb && _cb(error, unflat(value));
   };
 
 
-  /* compact */
-  const args = _.compact([_key, cb]);
+  /**
+   * @name scard
+   * @function scard
+   * @description Returns the number of members of the set stored at key.
+   * 
+   * @param {String} key key
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Number|Promise} number of members or promise if no callback
+   * @see {@link https://redis.io/commands/scard|SCARD}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.scard = function scard(key, done) {
+
+    /* do nothing */
+    if (_.isFunction(key)) {
+      return (key && key());
+    }
+
+    /* ensure client */
+    const client = redis.client();
+
+    /* prepare */
+    const _key = keyer(this)(key);
+
+    /* callback */
+    const { done: cb, promise } = deferred(done);
+
+
+    /* count */
+    const result = client.scard(_key, cb);
+    return promise || result;
+
+  };
+
+
+  /**
+   * @name sinter
+   * @function sinter
+   * @description Returns the members of the set resulting from the
+   * intersection of all the given sets.
+   * 
+   * @param {...String} keys key or collection of keys
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Array|Promise} intersection members or promise if no callback
+   * @see {@link https://redis.io/commands/sinter|SINTER}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.sinter = function sinter(...keys) {
+    return combine.call(this, 'sinter', ...keys);
+  };
+
+
+  /**
+   * @name sunion
+   * @function sunion
+   * @description Returns the members of the set resulting from the union
+   * of all the given sets.
+   * 
+   * @param {...String} keys key or collection of keys
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Array|Promise} union members or promise if no callback
+   * @see {@link https://redis.io/commands/sunion|SUNION}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.sunion = function sunion(...keys) {
+    return combine.call(this, 'sunion', ...keys);
+  };
+
+
+  /**
+   * @name zadd
+   * @function zadd
+   * @description Adds all the specified members with the specified scores
+   * to the sorted set stored at key.
+   * 
+   * @param {String} key key
+   * @param {...Mixed} scoreMembers score and member pairs
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Number|Promise} number of added members or promise if
+   * no callback
+   * @see {@link https://redis.io/commands/zadd|ZADD}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   * @example
+   *
+   * zadd('scores', 10, 'john', 20, { name: 'jane' }, done);
+   *
+   */
+  exports.zadd = function zadd(key, ...scoreMembers) {
+
+    /* do nothing */
+    if (_.isFunction(key)) {
+      return (key && key());
+    }
+
+    /* callback */
+    const { args, done } = variadic(scoreMembers);
+    const { done: cb, promise } = deferred(done);
+
+    /* ensure client */
+    const client = redis.client();
+
+    /* prepare */
+    const { encode } = codec(this);
+    const _key = keyer(this)(key);
+    const _scoreMembers = _.flatMap(_.chunk(args, 2), function ([score,
+      member]) {
+      return [score, encode(member)];
+    });
+
+    /* add */
+    const result = client.zadd(_key, ..._scoreMembers, cb);
+    return promise || result;
+
+  };
+
+
+  /**
+   * @name zincrby
+   * @function zincrby
+   * @description Increments the score of member in the sorted set stored
+   * at key by increment.
+   * 
+   * @param {String} key key
+   * @param {Number} increment increment
+   * @param {Mixed} member member
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Number|Promise} new score or promise if no callback
+   * @see {@link https://redis.io/commands/zincrby|ZINCRBY}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.zincrby = function zincrby(key, increment, member, done) {
+
+    /* do nothing */
+    if (_.isFunction(key)) {
+      return (key && key());
+    }
 
+    /* ensure client */
+    const client = redis.client();
 
-  /* set */
-  return client.hgetall.call(client, ...args);
+    /* prepare */
+    const { encode } = codec(this);
+    const _key = keyer(this)(key);
+    const _member = encode(member);
 
-};
\ No newline at end of file
+    /* callback */
+    const { done: _done, promise } = deferred(done);
+    const cb = function (error, score) {
+      return _done(error, error ? undefined : Number(score));
+    };
+
+
+    /* increment */
+    const result = client.zincrby(_key, increment, _member, cb);
+    return promise || result;
+
+  };
+
+
+  /**
+   * @name zrange
+   * @function zrange
+   * @description Returns the specified range of members in the sorted set
+   * stored at key ordered from the lowest to the highest score.
+   * 
+   * @param {String} key key
+   * @param {Number} [start=0] start index
+   * @param {Number} [stop=-1] stop index
+   * @param {Object} [options] valid range options
+   * @param {Boolean} [options.withScores] whether to return
+   * `{ member, score }` pairs
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Array|Promise} members or promise if no callback
+   * @see {@link https://redis.io/commands/zrange|ZRANGE}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.zrange = function zrange(key, start, stop, options, done) {
+    return range.call(this, 'zrange', key, start, stop, options, done);
+  };
+
+
+  /**
+   * @name zrevrange
+   * @function zrevrange
+   * @description Returns the specified range of members in the sorted set
+   * stored at key ordered from the highest to the lowest score.
+   * 
+   * @param {String} key key
+   * @param {Number} [start=0] start index
+   * @param {Number} [stop=-1] stop index
+   * @param {Object} [options] valid range options
+   * @param {Boolean} [options.withScores] whether to return
+   * `{ member, score }` pairs
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Array|Promise} members or promise if no callback
+   * @see {@link https://redis.io/commands/zrevrange|ZREVRANGE}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.zrevrange = function zrevrange(key, start, stop, options, done) {
+    return range.call(this, 'zrevrange', key, start, stop, options, done);
+  };
+
+
+  /**
+   * @name zrangebyscore
+   * @function zrangebyscore
+   * @description Returns all the members in the sorted set at key with a
+   * score between min and max ordered from the lowest to the highest score.
+   * 
+   * @param {String} key key
+   * @param {Number|String} min minimum score(i.e 1, (1 or -inf)
+   * @param {Number|String} max maximum score(i.e 5, (5 or +inf)
+   * @param {Object} [options] valid range options
+   * @param {Boolean} [options.withScores] whether to return
+   * `{ member, score }` pairs
+   * @param {Number} [options.offset] number of members to skip
+   * @param {Number} [options.count] number of members to return
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Array|Promise} members or promise if no callback
+   * @see {@link https://redis.io/commands/zrangebyscore|ZRANGEBYSCORE}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.zrangebyscore = function zrangebyscore(key, min, max, options,
+    done) {
+
+    /* do nothing */
+    if (_.isFunction(key)) {
+      return (key && key());
+    }
+
+    /* ensure client */
+    const client = redis.client();
+
+    /* prepare */
+    const { decode } = codec(this);
+    const _key = keyer(this)(key);
+    const _options = _.isPlainObject(options) ? options : {};
+    const _withScores = _options.withScores ? 'WITHSCORES' : undefined;
+    const _limit = _.isNumber(_options.count) ?
+      ['LIMIT', _options.offset || 0, _options.count] : [];
+
+    /* callback */
+    const _cb = _.isFunction(options) ? options : done;
+    const { done: _done, promise } = deferred(_cb);
+    const cb = function (error, reply) {
+      return _done(error, scored(reply, _withScores, decode));
+    };
+
+    /* prepare arguments */
+    const args = [_key, min, max].concat(_withScores || [], _limit, cb);
+
+    /* range */
+    const result = client.zrangebyscore(...args);
+    return promise || result;
+
+  };
+
+
+  /**
+   * @name zrem
+   * @function zrem
+   * @description Removes the specified members from the sorted set stored
+   * at key.
+   * 
+   * @param {String} key key
+   * @param {...Mixed} members member or collection of members
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Number|Promise} number of removed members or promise if
+   * no callback
+   * @see {@link https://redis.io/commands/zrem|ZREM}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.zrem = function zrem(key, ...members) {
+    return mutate.call(this, 'zrem', key, ...members);
+  };
+
+
+  /**
+   * @name zcard
+   * @function zcard
+   * @description Returns the number of members of the sorted set stored
+   * at key.
+   * 
+   * @param {String} key key
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Number|Promise} number of members or promise if no callback
+   * @see {@link https://redis.io/commands/zcard|ZCARD}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.zcard = function zcard(key, done) {
+
+    /* do nothing */
+    if (_.isFunction(key)) {
+      return (key && key());
+    }
+
+    /* ensure client */
+    const client = redis.client();
+
+    /* prepare */
+    const _key = keyer(this)(key);
+
+    /* callback */
+    const { done: cb, promise } = deferred(done);
+
+
+    /* count */
+    const result = client.zcard(_key, cb);
+    return promise || result;
+
+  };
+
+
+  /**
+   * @name zscore
+   * @function zscore
+   * @description Returns the score of member in the sorted set at key.
+   * 
+   * @param {String} key key
+   * @param {Mixed} member member
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Number|Promise} score, null if not exists or promise if
+   * no callback
+   * @see {@link https://redis.io/commands/zscore|ZSCORE}
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   */
+  exports.zscore = function zscore(key, member, done) {
+
+    /* do nothing */
+    if (_.isFunction(key)) {
+      return (key && key());
+    }
+
+    /* ensure client */
+    const client = redis.client();
+
+    /* prepare */
+    const { encode } = codec(this);
+    const _key = keyer(this)(key);
+    const _member = encode(member);
+
+    /* callback */
+    const { done: _done, promise } = deferred(done);
+    const cb = function (error, score) {
+      return _done(error, _.isNil(score) ? null : Number(score));
+    };
+
+
+    /* score */
+    const result = client.zscore(_key, _member, cb);
+    return promise || result;
+
+  };
+
+
+  /**
+   * @name using
+   * @function using
+   * @description Obtain command helpers bound to the given options, i.e to
+   * override default serializer per call.
+   * 
+   * @param {Object} options valid command options
+   * @param {String|Object} [options.serializer] serializer name(i.e json or
+   * tagged) or custom `{ encode, decode }` functions
+   * @param {Function} [options.key] key builder used to prefix keys. Default
+   * to `redis.key`
+   * @return {Object} command helpers bound to options
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   * @example
+   *
+   * const { set, get } = redis.commands.using({ serializer: 'tagged' });
+   *
+   */
+  exports.using = function using(options) {
+
+    /* merge with already bound options */
+    const context = _.merge({}, this !== exports ? this : {}, options);
+
+    /* bind helpers */
+    return _.mapValues(exports, function (command) {
+      return command.bind(context);
+    });
+
+  };
+
+
+  /* reply preparation errors of all helpers asynchronously */
+  _.forEach(_.omit(exports, 'using'), function (helper, name) {
+    exports[name] = guard(helper);
+  });
+
+
+  return exports;
+
+};
@@ -0,0 +1,221 @@
+'use strict';
+
+/**
+ * @name limiter
+ * @description rate limiter with fixed window, sliding window and token
+ * bucket strategies. Each check is done atomically in one lua script.
+ * @author lally elias<lallyelias87@gmail.com>
+ * @since 0.6.0
+ * @version 0.1.0
+ * @type {Object}
+ */
+
+
+/* dependencies */
+const path = require('path');
+const _ = require('lodash');
+const uuid = require('uuid');
+const { deferred, duration } = require(path.join(__dirname, 'utils'));
+
+
+/**
+ * @function
+ * @name limiter
+ * @description create rate limiter bound to redis instance
+ * @param {Object} redis valid redis instance
+ * @return {Object} rate limiter
+ * @since 0.6.0
+ * @version 0.1.0
+ * @private
+ */
+module.exports = function (redis) {
+
+  /* rate limiter */
+  const exports = {};
+  const scripts = redis.scripts;
+
+
+  /* default rate limit options */
+  const defaults = {
+    points: 10,
+    duration: 1000,
+    strategy: 'fixed'
+  };
+
+
+  /* count requests in current window, starting window on first request */
+  const FIXED_SCRIPT = [
+    'local now = tonumber(ARGV[1])',
+    'local window = tonumber(ARGV[2])',
+    'local points = tonumber(ARGV[3])',
+    'local used = redis.call("INCR", KEYS[1])',
+    'if used == 1 then',
+    '  redis.call("PEXPIRE", KEYS[1], window)',
+    'end',
+    'local ttl = redis.call("PTTL", KEYS[1])',
+    'if ttl < 0 then',
+    '  redis.call("PEXPIRE", KEYS[1], window)',
+    '  ttl = window',
+    'end',
+    'local allowed = 0',
+    'local retry = ttl',
+    'if used <= points then',
+    '  allowed = 1',
+    '  retry = 0',
+    'end',
+    'return { allowed, math.max(points - used, 0), now + ttl, retry }'
+  ].join('\n');
+  scripts.define('fixedWindow', FIXED_SCRIPT, { keys: 1 });
+
+
+  /* log requests in a sorted set and count those within last window */
+  const SLIDING_SCRIPT = [
+    'local now = tonumber(ARGV[1])',
+    'local window = tonumber(ARGV[2])',
+    'local points = tonumber(ARGV[3])',
+    'redis.call("ZREMRANGEBYSCORE", KEYS[1], "-inf", now - window)',
+    'local used = redis.call("ZCARD", KEYS[1])',
+    'local allowed = 0',
+    'if used < points then',
+    '  redis.call("ZADD", KEYS[1], now, ARGV[4])',
+    '  used = used + 1',
+    '  allowed = 1',
+    'end',
+    'redis.call("PEXPIRE", KEYS[1], window)',
+    'local first = redis.call("ZRANGE", KEYS[1], 0, 0, "WITHSCORES")',
+    'local last = redis.call("ZRANGE", KEYS[1], -1, -1, "WITHSCORES")',
+    'local reset = now',
+    'if last[2] then',
+    '  reset = tonumber(last[2]) + window',
+    'end',
+    'local retry = 0',
+    'if allowed == 0 and first[2] then',
+    '  retry = tonumber(first[2]) + window - now',
+    'end',
+    'return { allowed, points - used, reset, retry }'
+  ].join('\n');
+  scripts.define('slidingWindow', SLIDING_SCRIPT, { keys: 1 });
+
+
+  /* refill tokens at constant rate and take one if available */
+  const TOKEN_BUCKET_SCRIPT = [
+    'local now = tonumber(ARGV[1])',
+    'local window = tonumber(ARGV[2])',
+    'local points = tonumber(ARGV[3])',
+    'local rate = points / window',
+    'local bucket = redis.call("HMGET", KEYS[1], "tokens", "updatedAt")',
+    'local tokens = tonumber(bucket[1]) or points',
+    'local updatedAt = tonumber(bucket[2]) or now',
+    'tokens = math.min(points, tokens + math.max(now - updatedAt, 0) * rate)',
+    'local allowed = 0',
+    'local retry = 0',
+    'if tokens >= 1 then',
+    '  tokens = tokens - 1',
+    '  allowed = 1',
+    'else',
+    '  retry = math.ceil((1 - tokens) / rate)',
+    'end',
+    'redis.call("HMSET", KEYS[1], "tokens", tostring(tokens),',
+    '  "updatedAt", now)',
+    'redis.call("PEXPIRE", KEYS[1], window)',
+    'local reset = now + math.ceil((points - tokens) / rate)',
+    'return { allowed, math.floor(tokens), reset, retry }'
+  ].join('\n');
+  scripts.define('tokenBucket', TOKEN_BUCKET_SCRIPT, { keys: 1 });
+
+
+  /* supported rate limit strategies and their scripts */
+  const STRATEGIES = {
+    fixed: 'fixedWindow',
+    sliding: 'slidingWindow',
+    tokenBucket: 'tokenBucket'
+  };
+
+
+  /**
+   * @function
+   * @name rateLimit
+   * @description consume a point for the given identifier and check if it
+   * is within its rate limit
+   * @param {String|String[]} id valid identifier i.e user id or ip address
+   * @param {Object} [options] valid rate limit options
+   * @param {Number} [options.points=10] number of points allowed per duration
+   * @param {Number|String} [options.duration=1000] duration in milliseconds
+   * or human readable duration(i.e 500ms, 30s or 5m)
+   * @param {String} [options.strategy=fixed] rate limit strategy. Either
+   * `fixed`, `sliding` or `tokenBucket`
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Object|Promise} rate limit result with `allowed`, `remaining`,
+   * `reset` and `retryAfter` or promise if no callback
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   * @example
+   *
+   * const { allowed, remaining, reset, retryAfter } =
+   *   await redis.rateLimit(['ip', ip], { points: 100, duration: '1m' });
+   * // => { allowed: true, remaining: 99, reset: 1546300800000, ... }
+   *
+   */
+  exports.rateLimit = function rateLimit(id, options, done) {
+
+    /* normalize arguments */
+    if (options && _.isFunction(options)) {
+      done = options;
+      options = {};
+    }
+
+    /* ensure callback or promise */
+    const { done: cb, promise } = deferred(done);
+
+    /* prepare options */
+    options = _.merge({}, defaults, options);
+    const script = STRATEGIES[options.strategy];
+    if (!script) {
+      const error = new Error('Invalid Rate Limit Strategy');
+      error.status = 400;
+      cb(error);
+      return promise;
+    }
+    const points = Number(options.points);
+
+    /* prepare window and key */
+    let window;
+    let key;
+    try {
+      window = duration(options.duration);
+      key = redis.key('ratelimit', options.strategy, id);
+    } catch (error) {
+      cb(error);
+      return promise;
+    }
+
+    /* consume a point atomically */
+    const args = [Date.now(), window, points, uuid.v4()];
+    scripts[script]([key], args, function (error, reply) {
+
+      /* back-off in case there is error */
+      if (error) {
+        return cb(error);
+      }
+
+      /* reply with rate limit result */
+      const [allowed, remaining, reset, retryAfter] = reply;
+      return cb(null, {
+        allowed: allowed === 1,
+        points: points,
+        remaining: remaining,
+        reset: reset,
+        retryAfter: retryAfter
+      });
+
+    });
+
+    return promise;
+
+  };
+
+
+  return exports;
+
+};
@@ -0,0 +1,200 @@
+'use strict';
+
+/**
+ * @name lock
+ * @description distributed lock with token safe release and extend
+ * @author lally elias<lallyelias87@gmail.com>
+ * @since 0.6.0
+ * @version 0.1.0
+ * @type {Object}
+ * @see {@link https://redis.io/topics/distlock}
+ */
+
+
+/* dependencies */
+const path = require('path');
+const _ = require('lodash');
+const uuid = require('uuid');
+const { deferred, duration } = require(path.join(__dirname, 'utils'));
+
+
+/**
+ * @function
+ * @name lock
+ * @description create distributed lock helpers bound to redis instance
+ * @param {Object} redis valid redis instance
+ * @return {Object} distributed lock helpers
+ * @since 0.6.0
+ * @version 0.1.0
+ * @private
+ */
+module.exports = function (redis) {
+
+  /* distributed lock helpers */
+  const exports = {};
+  const scripts = redis.scripts;
+
+
+  /* default lock options */
+  const defaults = {
+    ttl: 10000,
+    retries: 0,
+    retryDelay: 100
+  };
+
+
+  /* delete lock only if still held by token */
+  const RELEASE_SCRIPT = [
+    'if redis.call("GET", KEYS[1]) == ARGV[1] then',
+    '  return redis.call("DEL", KEYS[1])',
+    'end',
+    'return 0'
+  ].join('\n');
+  scripts.define('releaseLock', RELEASE_SCRIPT, { keys: 1 });
+
+
+  /* extend lock only if still held by token */
+  const EXTEND_SCRIPT = [
+    'if redis.call("GET", KEYS[1]) == ARGV[1] then',
+    '  return redis.call("PEXPIRE", KEYS[1], ARGV[2])',
+    'end',
+    'return 0'
+  ].join('\n');
+  scripts.define('extendLock', EXTEND_SCRIPT, { keys: 1 });
+
+
+  /* prepare lock handle */
+  const handle = function (resource, key, token, ttl) {
+    const lock = {
+      resource: resource,
+      key: key,
+      token: token,
+      expiresAt: Date.now() + ttl
+    };
+
+    /* release lock if still held */
+    lock.release = function (done) {
+      const { done: cb, promise } = deferred(done);
+      scripts.releaseLock([key], [token], function (error, reply) {
+        cb(error, reply === 1);
+      });
+      return promise;
+    };
+
+    /* extend lock time to live if still held */
+    lock.extend = function (ttl, done) {
+      const { done: cb, promise } = deferred(done);
+      let _ttl;
+      try {
+        _ttl = duration(ttl);
+      } catch (error) {
+        cb(error);
+        return promise;
+      }
+      scripts.extendLock([key], [token, _ttl], function (error, reply) {
+        if (!error && reply !== 1) {
+          error = new Error('Lock Not Held');
+          error.status = 409;
+        }
+        if (!error) {
+          lock.expiresAt = Date.now() + _ttl;
+        }
+        cb(error, lock);
+      });
+      return promise;
+    };
+
+    return lock;
+  };
+
+
+  /**
+   * @function
+   * @name lock
+   * @description acquire a distributed lock on resource. Lock is held by a
+   * random token and can only be released or extended by its holder.
+   * @param {String|String[]} resource valid resource name
+   * @param {Object} [options] valid lock options
+   * @param {Number|String} [options.ttl=10000] lock time to live in
+   * milliseconds or human readable duration(i.e 500ms, 30s or 5m)
+   * @param {Number} [options.retries=0] number of times to retry acquiring
+   * the lock
+   * @param {Number} [options.retryDelay=100] time in milliseconds to wait
+   * before retrying
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Object|Promise} lock handle with `release` and `extend` or
+   * promise if no callback
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   * @example
+   *
+   * const lock = await redis.lock(['orders', id], { ttl: '30s', retries: 5 });
+   * await lock.extend('30s');
+   * await lock.release();
+   *
+   */
+  exports.lock = function lock(resource, options, done) {
+
+    /* normalize arguments */
+    if (options && _.isFunction(options)) {
+      done = options;
+      options = {};
+    }
+
+    /* ensure callback or promise */
+    const { done: cb, promise } = deferred(done);
+
+    /* prepare lock */
+    options = _.merge({}, defaults, options);
+    let key;
+    let ttl;
+    try {
+      key = redis.key('lock', resource);
+      ttl = duration(options.ttl);
+    } catch (error) {
+      cb(error);
+      return promise;
+    }
+    const token = uuid.v4();
+
+    /* try to acquire lock, retrying while held by others */
+    const acquire = function (attempt) {
+      redis.client().set(key, token, 'PX', ttl, 'NX', function (error,
+        reply) {
+
+        /* back-off in case there is error */
+        if (error) {
+          return cb(error);
+        }
+
+        /* reply with lock handle once acquired */
+        if (reply) {
+          return cb(null, handle(resource, key, token, ttl));
+        }
+
+        /* retry after delay */
+        if (attempt < options.retries) {
+          return setTimeout(function () {
+            acquire(attempt + 1);
+          }, options.retryDelay);
+        }
+
+        /* reply with locked */
+        error = new Error('Lock Not Acquired');
+        error.status = 423;
+        return cb(error);
+
+      });
+    };
+
+    acquire(0);
+
+    return promise;
+
+  };
+
+
+  return exports;
+
+};
@@ -0,0 +1,166 @@
+'use strict';
+
+/**
+ * @name metrics
+ * @description per command counts, error counts and latency histograms
+ * collected using instrumentation hooks and exposed in prometheus text
+ * format
+ * @author lally elias<lallyelias87@gmail.com>
+ * @since 0.6.0
+ * @version 0.1.0
+ * @type {Object}
+ * @see {@link https://prometheus.io/docs/instrumenting/exposition_formats}
+ */
+
+
+/* dependencies */
+const _ = require('lodash');
+
+
+/* default collector options */
+const defaults = {
+  prefix: 'redis_',
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5]
+};
+
+
+/* format prometheus sample line */
+const sample = function (name, labels, value) {
+  const _labels = _.map(labels, function (label, key) {
+    const escaped = String(label).replace(/\\/g, '\\\\')
+      .replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return [key, '="', escaped, '"'].join('');
+  }).join(',');
+  return [name, '{', _labels, '} ', value].join('');
+};
+
+
+/* format prometheus metric help, type and samples */
+const metric = function (name, type, help, samples) {
+  return [
+    ['# HELP', name, help].join(' '),
+    ['# TYPE', name, type].join(' ')
+  ].concat(samples);
+};
+
+
+/**
+ * @function
+ * @name metrics
+ * @description create metrics collector bound to redis instance
+ * @param {Object} redis valid redis instance
+ * @return {Object} metrics collector
+ * @since 0.6.0
+ * @version 0.1.0
+ * @private
+ */
+module.exports = function (redis) {
+
+  /* metrics collector */
+  const exports = {};
+
+
+  /**
+   * @function
+   * @name collector
+   * @description start collecting per command counts, error counts and
+   * latency histograms of all commands sent
+   * @param {Object} [options] valid collector options
+   * @param {String} [options.prefix=redis_] metric names prefix
+   * @param {Number[]} [options.buckets] latency histogram buckets in
+   * seconds
+   * @return {Object} collector with `metrics`, `reset` and `stop`
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   * @example
+   *
+   * const collector = redis.collector();
+   *
+   * app.get('/metrics', function (request, response) {
+   *   response.type('text/plain').send(collector.metrics());
+   * });
+   *
+   */
+  exports.collector = function collector(options) {
+
+    /* prepare options */
+    const { prefix, buckets } = _.merge({}, defaults, options);
+    const _buckets = _.sortBy(_.uniq(buckets));
+
+    /* collected stats per command */
+    let stats = {};
+
+    /* collect command stats after reply */
+    const stop = redis.instrument({
+      after: function ({ command, duration, error }) {
+        const seconds = duration / 1e3;
+        const stat = stats[command] = stats[command] || {
+          count: 0,
+          errors: 0,
+          sum: 0,
+          buckets: _.map(_buckets, _.constant(0))
+        };
+        stat.count = stat.count + 1;
+        stat.errors = stat.errors + (error ? 1 : 0);
+        stat.sum = stat.sum + seconds;
+        _.forEach(_buckets, function (bucket, index) {
+          if (seconds <= bucket) {
+            stat.buckets[index] = stat.buckets[index] + 1;
+          }
+        });
+      }
+    });
+
+    /* expose collected stats in prometheus text format */
+    const metrics = function () {
+      const commands = _.sortBy(_.keys(stats));
+
+      const total = [prefix, 'commands_total'].join('');
+      const errors = [prefix, 'command_errors_total'].join('');
+      const duration = [prefix, 'command_duration_seconds'].join('');
+
+      const lines = [].concat(
+        metric(total, 'counter', 'Total number of commands sent.',
+          _.map(commands, function (command) {
+            return sample(total, { command }, stats[command].count);
+          })),
+        metric(errors, 'counter', 'Total number of commands failed.',
+          _.map(commands, function (command) {
+            return sample(errors, { command }, stats[command].errors);
+          })),
+        metric(duration, 'histogram', 'Command duration in seconds.',
+          _.flatMap(commands, function (command) {
+            const stat = stats[command];
+            return _.map(_buckets, function (bucket, index) {
+              return sample([duration, '_bucket'].join(''), {
+                command,
+                le: bucket
+              }, stat.buckets[index]);
+            }).concat([
+              sample([duration, '_bucket'].join(''), {
+                command,
+                le: '+Inf'
+              }, stat.count),
+              sample([duration, '_sum'].join(''), { command }, stat.sum),
+              sample([duration, '_count'].join(''), { command }, stat.count)
+            ]);
+          }))
+      );
+
+      return lines.join('\n') + '\n';
+    };
+
+    /* clear collected stats */
+    const reset = function () {
+      stats = {};
+    };
+
+    return { metrics, reset, stop };
+
+  };
+
+
+  return exports;
+
+};
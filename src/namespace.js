@@ -0,0 +1,137 @@
+'use strict';
+
+/**
+ * @name namespace
+ * @description scoped key, count, clear and command helpers bound to a
+ * namespace under the global prefix
+ * @author lally elias<lallyelias87@gmail.com>
+ * @since 0.6.0
+ * @version 0.1.0
+ * @type {Object}
+ */
+
+
+/* dependencies */
+const path = require('path');
+const _ = require('lodash');
+const uuid = require('uuid');
+const { escapeSegment } = require(path.join(__dirname, 'utils'));
+
+
+/**
+ * @function
+ * @name namespace
+ * @description create scoped namespace helpers bound to redis instance
+ * @param {Object} redis valid redis instance
+ * @return {Object} scoped namespace helpers
+ * @since 0.6.0
+ * @version 0.1.0
+ * @private
+ */
+module.exports = function (redis) {
+
+  /* scoped namespace helpers */
+  const exports = {};
+  const commands = redis.commands;
+
+
+  /* escape glob special characters so namespace is matched literally */
+  const escape = function (segment) {
+    return String(segment).replace(/[*?[\]\\]/g, '\\$&');
+  };
+
+
+  /* prepare namespace bound to given segments */
+  const scope = function (segments) {
+
+    /* prepare key builder */
+    const key = function (...args) {
+      let _key = [].concat(...args);
+      if (_key.length === 0) {
+        _key = [uuid.v1()];
+      }
+      return redis.key(segments, _key);
+    };
+
+    /* prepare pattern within namespace i.e users:* */
+    const pattern = function (_pattern) {
+      const { separator, escape: escaped } = redis.defaults;
+      return _.map(segments, function (segment) {
+        return escape(escaped ? escapeSegment(segment, separator) : segment);
+      }).concat(_pattern || '').join(separator);
+    };
+
+    /* bind command helpers to namespace */
+    const namespace = commands.using({ key: key });
+    namespace.segments = segments;
+    namespace.prefix = redis.key(segments);
+    namespace.key = key;
+
+    /* count keys matching patterns within namespace */
+    namespace.count = function (...patterns) {
+      patterns = _.compact([].concat(...patterns));
+      const done = _.isFunction(_.last(patterns)) ? patterns.pop() : undefined;
+      const options = _.isPlainObject(_.last(patterns)) ? patterns.pop() : {};
+      patterns = _.isEmpty(patterns) ? ['*'] : patterns;
+      const { prefix, separator } = redis.defaults;
+      return redis.count(_.map(patterns, function (_pattern) {
+        return [prefix, pattern(_pattern)].join(separator);
+      }), options, done);
+    };
+
+    /* clear keys within namespace */
+    namespace.clear = function (_pattern, options, done) {
+      if (!_.isString(_pattern)) {
+        done = options;
+        options = _pattern;
+        _pattern = undefined;
+      }
+      return redis.clear(pattern(_pattern), options, done);
+    };
+
+    /* nest namespace */
+    namespace.namespace = function (...names) {
+      return scope(segments.concat(...names));
+    };
+
+    return namespace;
+
+  };
+
+
+  /**
+   * @function
+   * @name namespace
+   * @description obtain key, count, clear and command helpers bound to a
+   * namespace i.e `prefix:users:`. Namespaces can be nested and clear never
+   * touch keys outside the namespace.
+   * @param {...String} names valid namespace names
+   * @return {Object} namespace helpers
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   * @example
+   *
+   * const users = redis.namespace('users');
+   * await users.set('1', { name: 'lally' }); // => r:users:1
+   *
+   * const sessions = users.namespace('sessions');
+   * await sessions.clear(); // => clear r:users:sessions:*
+   *
+   */
+  exports.namespace = function namespace(...names) {
+
+    /* ensure namespace names */
+    const segments = _.compact([].concat(...names));
+    if (_.isEmpty(segments)) {
+      throw new Error('Missing Namespace');
+    }
+
+    return scope(segments);
+
+  };
+
+
+  return exports;
+
+};
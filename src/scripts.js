@@ -0,0 +1,157 @@
+'use strict';
+
+/**
+ * @name scripts
+ * @description lua script registry. Scripts are loaded once and run by
+ * their sha, falling back to full source when the server no longer knows
+ * them i.e after restart or failover.
+ * @author lally elias<lallyelias87@gmail.com>
+ * @since 0.6.0
+ * @version 0.1.0
+ * @type {Object}
+ * @see {@link https://redis.io/commands/evalsha}
+ */
+
+
+/* dependencies */
+const path = require('path');
+const _ = require('lodash');
+const { deferred } = require(path.join(__dirname, 'utils'));
+
+
+/**
+ * @function
+ * @name scripts
+ * @description create lua script registry bound to redis instance
+ * @param {Object} redis valid redis instance
+ * @return {Object} lua script registry
+ * @since 0.6.0
+ * @version 0.1.0
+ * @private
+ */
+module.exports = function (redis) {
+
+  /* lua script registry */
+  const exports = {};
+
+
+  /* load script and remember its sha */
+  const load = function (client, script, done) {
+    if (script.sha) {
+      return done(null, script.sha);
+    }
+    client.script('load', script.source, function (error, sha) {
+      if (!error) {
+        script.sha = sha;
+      }
+      done(error, sha);
+    });
+  };
+
+
+  /* run script by its sha, falling back to its source if not loaded */
+  const run = function (script, keys, args, done) {
+    const client = redis.client();
+    load(client, script, function (error, sha) {
+
+      /* back-off in case there is error */
+      if (error) {
+        return done(error);
+      }
+
+      /* run loaded script */
+      client.evalsha(sha, keys.length, ...keys, ...args, function (error,
+        reply) {
+
+        /* reload script by running its source */
+        if (error && error.code === 'NOSCRIPT') {
+          return client.eval(script.source, keys.length, ...keys, ...args,
+            done);
+        }
+
+        done(error, reply);
+
+      });
+
+    });
+  };
+
+
+  /**
+   * @function
+   * @name define
+   * @description define a lua script which will then be callable as
+   * `scripts[name](keys, args, done)`
+   * @param {String} name valid script name
+   * @param {String} source valid lua script source
+   * @param {Object} [options] valid script options
+   * @param {Number} [options.keys] number of keys the script expects. If
+   * specified calls with different number of keys are rejected
+   * @return {Function} script runner
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   * @example
+   *
+   * redis.scripts.define('getset', GETSET_SCRIPT, { keys: 1 });
+   * const key = redis.key('name');
+   * const previous = await redis.scripts.getset([key], ['lally']);
+   *
+   */
+  exports.define = function define(name, source, options) {
+
+    /* ensure valid script name */
+    if (!name || name === 'define') {
+      throw new Error('Invalid Script Name');
+    }
+
+    /* ensure script source */
+    if (!source) {
+      throw new Error('Missing Script Source');
+    }
+
+    /* prepare script definition */
+    const script = { name: name, source: source };
+    script.keys = _.get(options, 'keys');
+
+    /* prepare script runner */
+    exports[name] = function (keys, args, done) {
+
+      /* normalize arguments */
+      if (_.isFunction(keys)) {
+        done = keys;
+        keys = [];
+      }
+      if (_.isFunction(args)) {
+        done = args;
+        args = [];
+      }
+
+      /* ensure callback or promise */
+      const { done: cb, promise } = deferred(done);
+
+      /* ensure expected number of keys */
+      keys = _.compact([].concat(keys));
+      args = [].concat(_.isUndefined(args) ? [] : args);
+      if (_.isNumber(script.keys) && keys.length !== script.keys) {
+        const error = new Error('Invalid Script Keys');
+        error.status = 400;
+        cb(error);
+        return promise;
+      }
+
+      /* run script */
+      run(script, keys, args, cb);
+
+      return promise;
+
+    };
+
+    return exports[name];
+
+  };
+
+
+  return exports;
+
+};
@@ -0,0 +1,239 @@
+'use strict';
+
+/**
+ * @name sentinel
+ * @description redis sentinel aware client factory. Current master is
+ * resolved from sentinels before every connect and reconnect, so clients
+ * follow the master on failover.
+ * @author lally elias<lallyelias87@gmail.com>
+ * @since 0.6.0
+ * @version 0.1.0
+ * @private
+ * @type {Object}
+ * @see {@link https://redis.io/topics/sentinel-clients}
+ */
+
+
+/* dependencies */
+const net = require('net');
+const util = require('util');
+const _ = require('lodash');
+const redis = require('redis');
+
+
+/* default sentinel port */
+const SENTINEL_PORT = 26379;
+
+
+/* default sentinel connect timeout in milliseconds */
+const SENTINEL_TIMEOUT = 1000;
+
+
+/* connect to a sentinel without retries */
+const connect = function (sentinel, options) {
+  const client = redis.createClient({
+    host: sentinel.host,
+    port: sentinel.port || SENTINEL_PORT,
+    password: options.sentinelPassword,
+    noReadyCheck: true,
+    connectTimeout: options.sentinelTimeout || SENTINEL_TIMEOUT,
+    retryStrategy: _.noop
+  });
+  client.on('error', _.noop);
+  return client;
+};
+
+
+/**
+ * @function
+ * @name resolve
+ * @description ask sentinels in order for current master address
+ * @param {Object} options valid sentinel options
+ * @param {Object[]} options.sentinels collection of sentinel host and port
+ * @param {String} options.name master name
+ * @param {Function} done a callback to invoke on success or failure
+ * @since 0.6.0
+ * @version 0.1.0
+ * @private
+ */
+exports.resolve = function resolve(options, done) {
+
+  /* ask next sentinel */
+  const sentinels = [].concat(options.sentinels);
+  const next = function (index) {
+
+    /* no sentinel knows master */
+    const sentinel = sentinels[index];
+    if (!sentinel) {
+      const error = new Error('Unable to Resolve Sentinel Master');
+      error.status = 503;
+      return done(error);
+    }
+
+    /* query master address */
+    const client = connect(sentinel, options);
+    const args = ['get-master-addr-by-name', options.name];
+    client.sendCommand('sentinel', args, function (error, reply) {
+      client.end(true);
+      if (error || !reply) {
+        return next(index + 1);
+      }
+      const master = { host: reply[0], port: Number(reply[1]) };
+      return done(null, master, sentinel);
+    });
+
+  };
+
+  next(0);
+
+};
+
+
+/* client which resolves master from sentinels before connecting */
+function SentinelClient(options, sentinel) {
+  this.sentinel = sentinel;
+  this.resolving = 0;
+  redis.RedisClient.call(this, options);
+}
+util.inherits(SentinelClient, redis.RedisClient);
+
+
+// jshint camelcase:false
+/* resolve master then create connection stream */
+SentinelClient.prototype.create_stream = function () {
+  const self = this;
+
+  /* queue commands offline while resolving */
+  if (!this.stream) {
+    this.stream = new net.Socket();
+    this.stream.destroy();
+  }
+
+  /* ignore outdated resolutions */
+  const attempt = ++this.resolving;
+
+  exports.resolve(this.sentinel, function (error, master, sentinel) {
+
+    /* ignore if client closed or resolving again */
+    if (self.closing || attempt !== self.resolving) {
+      return;
+    }
+
+    /* retry as connection failure */
+    if (error) {
+      return self.on_error(error);
+    }
+
+    /* connect to current master */
+    self.connection_options.host = master.host;
+    self.connection_options.port = master.port;
+    self.address = [master.host, master.port].join(':');
+    redis.RedisClient.prototype.create_stream.call(self);
+
+    /* follow master switch */
+    self.follow(sentinel);
+
+  });
+
+};
+
+
+/* reconnect if connected server is no longer a master */
+SentinelClient.prototype.on_info_cmd = function (error, reply) {
+  const role = _.get(this, 'server_info.role');
+  if (!error && reply && role && role !== 'master') {
+    return this.stream.destroy();
+  }
+  return redis.RedisClient.prototype.on_info_cmd.call(this, error, reply);
+};
+// jshint camelcase:true
+
+
+/* listen sentinel for master switch and reconnect */
+SentinelClient.prototype.follow = function (sentinel) {
+  const self = this;
+
+  /* close previous watcher */
+  this.unfollow();
+
+  /* reconnect on master switch */
+  this.follower = connect(sentinel, this.sentinel);
+  this.follower.on('message', function (channel, message) {
+    const [name, , , host, port] = _.split(message, ' ');
+    const address = [host, port].join(':');
+    if (name === self.sentinel.name && address !== self.address) {
+      self.stream.destroy();
+    }
+  });
+  this.follower.subscribe('+switch-master');
+
+  /* stop watching when client is closed */
+  if (!this.unfollowing) {
+    this.unfollowing = true;
+    this.on('end', function () {
+      if (self.closing) {
+        self.unfollow();
+      }
+    });
+  }
+
+};
+
+
+/* stop listening sentinel for master switch */
+SentinelClient.prototype.unfollow = function () {
+  if (this.follower) {
+    this.follower.end(true);
+    this.follower = null;
+  }
+};
+
+
+/* close sentinel watcher on quit */
+SentinelClient.prototype.quit = function (done) {
+  this.unfollow();
+  return redis.RedisClient.prototype.quit.call(this, done);
+};
+SentinelClient.prototype.QUIT = SentinelClient.prototype.quit;
+
+
+/* close sentinel watcher on forcefully end */
+SentinelClient.prototype.end = function (flush) {
+  this.unfollow();
+  return redis.RedisClient.prototype.end.call(this, flush);
+};
+
+
+/**
+ * @function
+ * @name createClient
+ * @description instantiate new sentinel aware redis client
+ * @param {Object} options valid sentinel options
+ * @param {Object[]} options.sentinels collection of sentinel host and port
+ * @param {String} options.name master name
+ * @param {String} [options.sentinelPassword] sentinel password
+ * @param {Number} [options.sentinelTimeout=1000] sentinel connect timeout
+ * @param {Object} [clientOptions] valid node redis client options
+ * @return {Object} an instance of redis client
+ * @since 0.6.0
+ * @version 0.1.0
+ * @private
+ */
+exports.createClient = function createClient(options, clientOptions) {
+
+  /* ensure master name */
+  if (!options.name) {
+    throw new Error('Missing Sentinel Master Name');
+  }
+
+  /* prepare sentinel options */
+  const sentinel = _.merge({}, _.pick(options, 'name', 'sentinelPassword',
+    'sentinelTimeout'), {
+    sentinels: _.map(options.sentinels, function (sentinel) {
+      return _.merge({ port: SENTINEL_PORT }, sentinel);
+    })
+  });
+
+  return new SentinelClient(_.merge({}, clientOptions), sentinel);
+
+};
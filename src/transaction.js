@@ -0,0 +1,160 @@
+'use strict';
+
+/**
+ * @name transaction
+ * @description optimistic transaction using WATCH on a dedicated
+ * connection, retried when watched keys are changed concurrently
+ * @author lally elias<lallyelias87@gmail.com>
+ * @since 0.6.0
+ * @version 0.1.0
+ * @type {Object}
+ * @see {@link https://redis.io/topics/transactions#optimistic-locking-using-check-and-set}
+ */
+
+
+/* dependencies */
+const path = require('path');
+const _ = require('lodash');
+const { deferred, serializer } = require(path.join(__dirname, 'utils'));
+
+
+/**
+ * @function
+ * @name transaction
+ * @description create optimistic transaction helper bound to redis instance
+ * @param {Object} redis valid redis instance
+ * @return {Object} optimistic transaction helper
+ * @since 0.6.0
+ * @version 0.1.0
+ * @private
+ */
+module.exports = function (redis) {
+
+  /* optimistic transaction helper */
+  const exports = {};
+
+
+  /* default transaction options */
+  const defaults = {
+    retries: 5
+  };
+
+
+  /* send command to client and wait for its reply */
+  const send = function (client, command, ...args) {
+    return new Promise(function (resolve, reject) {
+      client[command](...args, function (error, reply) {
+        return error ? reject(error) : resolve(reply);
+      });
+    });
+  };
+
+
+  /* watch keys, run transaction and retry on concurrent change */
+  const run = async function (client, keys, fn, options) {
+    const { encode, decode } = serializer(redis.defaults.serializer);
+
+    for (let attempt = 0; attempt <= options.retries; attempt++) {
+
+      /* watch and read current values */
+      await send(client, 'watch', ...keys);
+      const values = await send(client, 'mget', ...keys);
+      const current = _.map(values, function (value) {
+        return _.isNull(value) ? null : decode(value);
+      });
+
+      /* queue commands, discarding watch on failure */
+      const tx = client.multi();
+      try {
+        await fn(tx, current, encode);
+      } catch (error) {
+        await send(client, 'unwatch');
+        throw error;
+      }
+
+      /* reply with exec replies unless watched keys changed */
+      const replies = await send(tx, 'exec');
+      if (replies !== null) {
+        return replies;
+      }
+
+    }
+
+    /* reply with conflict as retries exhausted */
+    const error = new Error('Transaction Conflict');
+    error.status = 409;
+    throw error;
+  };
+
+
+  /**
+   * @function
+   * @name transaction
+   * @description run optimistic transaction on keys. Keys are watched on a
+   * dedicated connection and their current values passed to the transaction
+   * function, which then queue commands on the given multi. Transaction is
+   * retried if watched keys are changed before it is executed.
+   * @param {String|String[]} keys valid keys to watch. Each key is prefixed
+   * using `key`
+   * @param {Function} fn an async function which receive multi, current
+   * values of the keys and serializer encode to prepare values written on
+   * multi in that order
+   * @param {Object} [options] valid transaction options
+   * @param {Number} [options.retries=5] number of times to retry when watched
+   * keys are changed
+   * @param {Function} [done] a callback to invoke on success or failure
+   * @return {Array|Promise} exec replies or promise if no callback
+   * @since 0.6.0
+   * @version 0.1.0
+   * @public
+   * @example
+   *
+   * await redis.transaction(['balance'], async (tx, [balance], encode) => {
+   *   tx.set(redis.key('balance'), encode(balance + 10));
+   * }, { retries: 10 });
+   *
+   */
+  exports.transaction = function transaction(keys, fn, options, done) {
+
+    /* normalize arguments */
+    if (options && _.isFunction(options)) {
+      done = options;
+      options = {};
+    }
+
+    /* ensure callback or promise */
+    const { done: cb, promise } = deferred(done);
+
+    /* prepare */
+    options = _.merge({}, defaults, options);
+    let _keys;
+    try {
+      _keys = _.map([].concat(keys), function (key) {
+        return redis.key(key);
+      });
+    } catch (error) {
+      cb(error);
+      return promise;
+    }
+
+    /* use dedicated client, as watch is per connection */
+    const client = redis.createClient();
+    const close = function (error, replies) {
+      redis.closeClient(client, function () {
+        cb(error, replies);
+      });
+    };
+
+    /* run transaction */
+    run(client, _keys, fn, options).then(function (replies) {
+      close(null, replies);
+    }, close);
+
+    return promise;
+
+  };
+
+
+  return exports;
+
+};
@@ -0,0 +1,261 @@
+'use strict';
+
+/**
+ * @name utils
+ * @description common utilities shared by redis client factories
+ * and command helpers
+ * @author lally elias<lallyelias87@gmail.com>
+ * @since 0.6.0
+ * @version 0.1.0
+ * @private
+ * @type {Object}
+ */
+
+
+/* dependencies */
+const _ = require('lodash');
+
+
+/**
+ * @function
+ * @name deferred
+ * @description prepare a node style callback which settle a promise
+ * when no callback is provided
+ * @param {Function} [done] a callback to invoke on success or failure
+ * @return {Object} valid callback and optional promise
+ * @since 0.6.0
+ * @version 0.1.0
+ * @private
+ * @example
+ *
+ * const { done, promise } = deferred(cb);
+ * client.get(key, done);
+ * return promise;
+ *
+ */
+exports.deferred = function deferred(done) {
+
+  /* use provided callback */
+  if (_.isFunction(done)) {
+    return { done: done, promise: undefined };
+  }
+
+  /* prepare promise and its callback */
+  let resolve;
+  let reject;
+  const promise = new Promise(function (_resolve, _reject) {
+    resolve = _resolve;
+    reject = _reject;
+  });
+  const callback = function (error, result) {
+    return error ? reject(error) : resolve(result);
+  };
+
+  return { done: callback, promise: promise };
+
+};
+
+
+/* tagged json replacer which keep dates, buffers and bigints */
+const replacer = function (key, value) {
+  const original = this[key];
+  if (_.isDate(original)) {
+    return { $date: original.toJSON() };
+  }
+  if (Buffer.isBuffer(original)) {
+    return { $buffer: original.toString('base64') };
+  }
+  if (Object.prototype.toString.call(value) === '[object BigInt]') {
+    return { $bigint: value.toString() };
+  }
+  return value;
+};
+
+
+/* tagged json reviver which restore dates, buffers and bigints */
+const reviver = function (key, value) {
+  if (_.isPlainObject(value) && _.size(value) === 1) {
+    if (_.has(value, '$date')) {
+      return new Date(value.$date);
+    }
+    if (_.has(value, '$buffer')) {
+      return Buffer.from(value.$buffer, 'base64');
+    }
+    if (_.has(value, '$bigint')) {
+      return global.BigInt(value.$bigint);
+    }
+  }
+  return value;
+};
+
+
+/* prepare json serializer with optional replacer and reviver */
+const json = function (replacer, reviver) {
+
+  /* parse data from redis, falling back to raw value */
+  const decode = function (value) {
+    try {
+      return JSON.parse(value, reviver);
+    } catch (error) {
+      return value;
+    }
+  };
+
+  /* stringify data to save to redis, keeping plain strings as is unless
+     they look like other types */
+  const encode = function (value) {
+    if (_.isString(value)) {
+      return decode(value) === value ? value : JSON.stringify(value);
+    }
+    try {
+      return JSON.stringify(value, replacer);
+    } catch (error) {
+      return value;
+    }
+  };
+
+  return { encode: encode, decode: decode };
+
+};
+
+
+/**
+ * @name serializers
+ * @description built in value serializers. `json` use plain JSON and
+ * `tagged` use JSON with type tags to keep dates, buffers and bigints.
+ * @type {Object}
+ * @since 0.6.0
+ * @version 0.1.0
+ * @private
+ */
+exports.serializers = {
+  json: json(),
+  tagged: json(replacer, reviver)
+};
+
+
+/**
+ * @function
+ * @name serializer
+ * @description obtain value serializer from its name or custom
+ * `{ encode, decode }` pair
+ * @param {String|Object} [serializer=json] serializer name or custom
+ * encode and decode functions
+ * @return {Object} valid serializer
+ * @since 0.6.0
+ * @version 0.1.0
+ * @private
+ * @example
+ *
+ * const { encode, decode } = serializer('json');
+ *
+ */
+exports.serializer = function serializer(serializer) {
+
+  /* use default serializer */
+  if (!serializer) {
+    return exports.serializers.json;
+  }
+
+  /* use custom serializer */
+  const isCustom = _.isFunction(_.get(serializer, 'encode')) &&
+    _.isFunction(_.get(serializer, 'decode'));
+  if (isCustom) {
+    return serializer;
+  }
+
+  /* use built in serializer */
+  if (_.has(exports.serializers, serializer)) {
+    return exports.serializers[serializer];
+  }
+
+  throw new Error('Invalid Serializer');
+
+};
+
+
+/* duration units in milliseconds */
+const DURATION_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+
+/**
+ * @function
+ * @name duration
+ * @description convert human readable duration to milliseconds
+ * @param {String|Number} value duration(i.e 500ms, 30s, 5m, 1h, 2d or 1w)
+ * or milliseconds
+ * @return {Number} duration in milliseconds
+ * @since 0.6.0
+ * @version 0.1.0
+ * @private
+ * @example
+ *
+ * duration('5m'); //=> 300000
+ *
+ */
+exports.duration = function duration(value) {
+
+  /* use milliseconds as is */
+  if (_.isNumber(value)) {
+    return value;
+  }
+
+  /* parse duration */
+  const [, amount, unit] =
+    /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)?\s*$/i.exec(value) || [];
+  if (!amount) {
+    throw new Error('Invalid Duration');
+  }
+
+  return Math.round(Number(amount) * DURATION_UNITS[_.toLower(unit || 'ms')]);
+
+};
+
+
+/**
+ * @function
+ * @name escapeSegment
+ * @description escape separator, hash tag braces and escape character
+ * within key segment
+ * @param {String|Number} segment valid key segment
+ * @param {String} separator key separator
+ * @return {String} escaped key segment
+ * @since 0.6.0
+ * @version 0.1.0
+ * @private
+ * @example
+ *
+ * escapeSegment('a:b', ':'); //=> 'a\\:b'
+ * escapeSegment('{a}', ':'); //=> '\\{a\\}'
+ *
+ */
+exports.escapeSegment = function escapeSegment(segment, separator) {
+  return String(segment).replace(/[\\{}]/g, '\\$&')
+    .split(separator).join('\\' + separator);
+};
+
+
+/**
+ * @function
+ * @name unescapeSegment
+ * @description unescape key segment escaped using escapeSegment
+ * @param {String} segment escaped key segment
+ * @return {String} key segment
+ * @since 0.6.0
+ * @version 0.1.0
+ * @private
+ * @example
+ *
+ * unescapeSegment('a\\:b'); //=> 'a:b'
+ *
+ */
+exports.unescapeSegment = function unescapeSegment(segment) {
+  return segment.replace(/\\(.)/g, '$1');
+};
@@ -0,0 +1,178 @@
+'use strict';
+
+/* dependencies */
+const path = require('path');
+const { expect } = require('chai');
+const faker = require('faker');
+
+const redis = require(path.join(__dirname, '..'))();
+const { set, get } = redis.commands;
+const { wrap } = redis.cache;
+
+
+/* wait for given milliseconds */
+const sleep = function (ms) {
+  return new Promise(function (resolve) {
+    setTimeout(resolve, ms);
+  });
+};
+
+
+describe('cache', function () {
+
+  before(function (done) {
+    redis.clear(done);
+  });
+
+  before(function () {
+    redis.reset();
+  });
+
+  it('should compute on miss and cache value', function (done) {
+    const key = faker.random.uuid();
+    const user = { name: faker.name.firstName() };
+    let calls = 0;
+    const fetcher = function () {
+      calls = calls + 1;
+      return Promise.resolve(user);
+    };
+
+    wrap(key, 60, fetcher, function (error, value) {
+      expect(error).to.not.exist;
+      expect(value).to.be.eql(user);
+
+      wrap(key, 60, fetcher, function (error, value) {
+        expect(error).to.not.exist;
+        expect(value).to.be.eql(user);
+        expect(calls).to.be.equal(1);
+        done(error, value);
+      });
+    });
+  });
+
+  it('should coalesce concurrent misses', async function () {
+    const key = faker.random.uuid();
+    let calls = 0;
+    const fetcher = async function () {
+      calls = calls + 1;
+      await sleep(20);
+      return calls;
+    };
+
+    const values = await Promise.all([
+      wrap(key, '1m', fetcher),
+      wrap(key, '1m', fetcher),
+      wrap(key, '1m', fetcher)
+    ]);
+    expect(values).to.be.eql([1, 1, 1]);
+    expect(calls).to.be.equal(1);
+  });
+
+  it('should propagate fetcher errors', function (done) {
+    wrap(faker.random.uuid(), 60, function () {
+      throw new Error('Fetch Failed');
+    }, function (error) {
+      expect(error).to.exist;
+      expect(error.message).to.be.equal('Fetch Failed');
+      done();
+    });
+  });
+
+  it('should reply invalid durations', function (done) {
+    wrap(faker.random.uuid(), 'soon', function () {
+      return 'value';
+    }, function (error) {
+      expect(error).to.exist;
+      expect(error.message).to.be.equal('Invalid Duration');
+      wrap(faker.random.uuid(), 60, function () {
+        return 'value';
+      }, { stale: 'later' }).catch(function (error) {
+        expect(error.message).to.be.equal('Invalid Duration');
+        done();
+      });
+    });
+  });
+
+  it('should not cache null results by default', async function () {
+    const key = faker.random.uuid();
+    let calls = 0;
+    const fetcher = function () {
+      calls = calls + 1;
+      return null;
+    };
+
+    expect(await wrap(key, 60, fetcher)).to.be.null;
+    expect(await wrap(key, 60, fetcher)).to.be.null;
+    expect(calls).to.be.equal(2);
+  });
+
+  it('should cache null results with negative ttl', async function () {
+    const key = faker.random.uuid();
+    let calls = 0;
+    const fetcher = function () {
+      calls = calls + 1;
+    };
+
+    const options = { negativeTtl: '10s' };
+    expect(await wrap(key, 60, fetcher, options)).to.be.null;
+    expect(await wrap(key, 60, fetcher, options)).to.be.null;
+    expect(calls).to.be.equal(1);
+  });
+
+  it('should serve stale value while revalidating', async function () {
+    const key = faker.random.uuid();
+    let calls = 0;
+    const fetcher = function () {
+      calls = calls + 1;
+      return calls;
+    };
+
+    const options = { stale: '1s' };
+    expect(await wrap(key, '50ms', fetcher, options)).to.be.equal(1);
+
+    await sleep(100);
+    expect(await wrap(key, '50ms', fetcher, options)).to.be.equal(1);
+
+    await sleep(20);
+    expect(calls).to.be.equal(2);
+    expect(await wrap(key, '50ms', fetcher, options)).to.be.equal(2);
+  });
+
+  it('should wait for lock holder to compute value', async function () {
+    const key = faker.random.uuid();
+    let calls = 0;
+    const fetcher = function () {
+      calls = calls + 1;
+      return 'mine';
+    };
+
+    //simulate other process computing value
+    await redis.lock(key, { ttl: 1000 });
+    setTimeout(function () {
+      set(key, { value: 'theirs', expiresAt: Date.now() + 60000 });
+    }, 50);
+
+    const options = { lock: { retryDelay: 10 } };
+    expect(await wrap(key, 60, fetcher, options)).to.be.equal('theirs');
+    expect(calls).to.be.equal(0);
+  });
+
+  it('should compute and release lock', async function () {
+    const key = faker.random.uuid();
+    const fetcher = function () {
+      return 'mine';
+    };
+
+    expect(await wrap(key, 60, fetcher, { lock: true })).to.be.equal('mine');
+    expect(await get(['lock', key])).to.be.null;
+  });
+
+  after(function (done) {
+    redis.clear(done);
+  });
+
+  after(function () {
+    redis.reset();
+  });
+
+});
@@ -8,6 +8,15 @@ const faker = require('faker');
 
 const redis = require(path.join(__dirname, '..'))();
 const { set, get, hmset, hgetall } = redis.commands;
+const { expire, ttl, pttl, persist, del, exists } = redis.commands;
+const { mget, mset } = redis.commands;
+const { hget, hset, hdel, hincrby, hexists, hkeys } = redis.commands;
+const { lpush, rpush, lpop, rpop, lrange, llen, ltrim, lrem } = redis.commands;
+const { blpop, brpop } = redis.commands;
+const { sadd, srem, smembers, sismember, scard, sinter, sunion } =
+  redis.commands;
+const { zadd, zincrby, zrange, zrevrange, zrangebyscore, zrem, zcard, zscore } =
+  redis.commands;
 
 
 describe('commands', function () {
@@ -123,6 +132,140 @@ describe('commands', function () {
 
   });
 
+  describe('set options', function () {
+
+    it('should be able to set with human readable ttl', async function () {
+      const key = faker.random.uuid();
+
+      expect(await set(key, 1, { ttl: '5m' })).to.be.equal(1);
+      expect(await pttl(key)).to.be.within(299000, 300000);
+
+      await set(key, 1, { ttl: 10 });
+      expect(await ttl(key)).to.be.equal(10);
+
+      await set(key, 1, { px: 2000 });
+      expect(await pttl(key)).to.be.within(1000, 2000);
+    });
+
+    it('should be able to set using save strategy', async function () {
+      const key = faker.random.uuid();
+
+      expect(await set(key, 1, { xx: true })).to.be.null;
+      expect(await set(key, 1, { nx: true, ttl: '1m' })).to.be.equal(1);
+      expect(await set(key, 2, { nx: true })).to.be.null;
+      expect(await set(key, 3, { xx: true, keepTtl: true })).to.be.equal(3);
+      expect(await ttl(key)).to.be.within(59, 60);
+      expect(await get(key)).to.be.equal(3);
+    });
+
+    it('should be able to set and get old value', async function () {
+      const key = faker.random.uuid();
+
+      expect(await set(key, { v: 1 }, { get: true })).to.be.null;
+      expect(await set(key, { v: 2 }, { get: true })).to.be.eql({ v: 1 });
+    });
+
+    it('should not drop zero expiry time', function (done) {
+      set(faker.random.uuid(), 1, 'EX', 0, function (error) {
+        expect(error).to.exist;
+        expect(error.message).to.contain('invalid expire time');
+        done();
+      });
+    });
+
+    it('should reject invalid ttl', function (done) {
+      set(faker.random.uuid(), 1, { ttl: '5 minutes' }).then(function () {
+        done(new Error('Should Reject'));
+      }, function (error) {
+        expect(error.message).to.be.equal('Invalid Duration');
+        done();
+      });
+    });
+
+  });
+
+  describe('batch', function () {
+
+    const [first, second] = [faker.random.uuid(), faker.random.uuid()];
+    const values = {
+      [first]: { name: faker.name.firstName() },
+      [second]: faker.random.number()
+    };
+
+    it('should be able to set many values', function (done) {
+      mset(values, function (error, result) {
+        expect(error).to.not.exist;
+        expect(result).to.be.eql(values);
+        done(error, result);
+      });
+    });
+
+    it('should be able to get many values in order', async function () {
+      expect(await mget([second, 'unknown', first]))
+        .to.be.eql([values[second], null, values[first]]);
+    });
+
+    it('should be able to get many values as map', async function () {
+      expect(await mget([first, second, 'unknown'], { map: true }))
+        .to.be.eql(_.merge({ unknown: null }, values));
+    });
+
+    it('should be able to set many values with ttl', async function () {
+      await mset(values, { ttl: '1m' });
+      expect(await pttl(first)).to.be.within(59000, 60000);
+      expect(await pttl(second)).to.be.within(59000, 60000);
+
+      await mset(values, { ttl: 10 });
+      expect(await ttl(first)).to.be.equal(10);
+    });
+
+  });
+
+  describe('keys', function () {
+
+    it('should be able to obtain ttl of key segments', async function () {
+      const key = [faker.random.uuid(), faker.random.uuid()];
+
+      await set(key, 1, { ttl: 100 });
+      expect(await ttl(key)).to.be.equal(100);
+      expect(await pttl(key)).to.be.within(99000, 100000);
+    });
+
+    it('should be able to expire and persist key', async function () {
+      const key = faker.random.uuid();
+
+      await set(key, 1);
+      expect(await ttl(key)).to.be.equal(-1);
+      expect(await expire(key, 100)).to.be.true;
+      expect(await ttl(key)).to.be.equal(100);
+      expect(await expire(key, '1h')).to.be.true;
+      expect(await pttl(key)).to.be.within(3599000, 3600000);
+      expect(await persist(key)).to.be.true;
+      expect(await persist(key)).to.be.false;
+      expect(await expire(faker.random.uuid(), 1)).to.be.false;
+    });
+
+    it('should be able to check and delete keys', function (done) {
+      const [first, second] = [faker.random.uuid(), faker.random.uuid()];
+
+      set(first, 1, function () {
+        set(second, 2, function () {
+          exists(first, second, 'unknown', function (error, count) {
+            expect(error).to.not.exist;
+            expect(count).to.be.equal(2);
+
+            del([first, second], function (error, count) {
+              expect(error).to.not.exist;
+              expect(count).to.be.equal(2);
+              done(error, count);
+            });
+          });
+        });
+      });
+    });
+
+  });
+
   describe('get', function () {
 
     const keyString = faker.random.uuid();
@@ -271,6 +414,423 @@ describe('commands', function () {
 
   });
 
+  describe('hash types', function () {
+
+    it('should preserve field types', async function () {
+      const key = faker.random.uuid();
+      const value = {
+        name: 'John',
+        code: '123',
+        flag: 'true',
+        age: 42,
+        ratio: 0.5,
+        active: true,
+        deleted: false,
+        spouse: null,
+        bornAt: new Date('2020-01-01T00:00:00.000Z'),
+        tags: ['a', 1, false],
+        roles: [],
+        settings: {},
+        profile: { visits: [{ at: new Date(0) }] }
+      };
+
+      await hmset(key, value);
+      expect(await hgetall(key)).to.be.eql(value);
+      expect(await hget(key, 'bornAt')).to.be.eql(value.bornAt);
+      expect(await hget(key, 'profile')).to.be.eql(value.profile);
+    });
+
+    it('should preserve field types with json serializer', async function () {
+      const key = faker.random.uuid();
+      const value = { bornAt: new Date(0), age: 1 };
+      const { hmset, hgetall } =
+        redis.commands.using({ serializer: 'json' });
+
+      await hmset(key, value);
+      expect(await hgetall(key)).to.be.eql(value);
+      expect(await redis.commands.hgetall(key)).to.be.eql(value);
+    });
+
+    it('should preserve field types on field update', async function () {
+      const key = faker.random.uuid();
+      const bornAt = new Date();
+
+      await hset(key, 'profile', { bornAt: bornAt, code: '007', age: 1 });
+      expect(await hgetall(key))
+        .to.be.eql({ profile: { bornAt: bornAt, code: '007', age: 1 } });
+      expect(await hincrby(key, 'profile.age', 1)).to.be.equal(2);
+    });
+
+  });
+
+  describe('hash fields', function () {
+
+    const key = faker.random.uuid();
+    const user = {
+      name: 'John',
+      profile: { address: { city: 'Dar', street: 'Sokoine' } },
+      stats: { views: 1 }
+    };
+
+    before(function (done) {
+      hmset(key, user, done);
+    });
+
+    it('should be able to get nested field', function (done) {
+      hget(key, 'profile.address.city', function (error, city) {
+        expect(error).to.not.exist;
+        expect(city).to.be.equal('Dar');
+        done(error, city);
+      });
+    });
+
+    it('should be able to get nested object', async function () {
+      expect(await hget(key, 'profile'))
+        .to.be.eql({ address: { city: 'Dar', street: 'Sokoine' } });
+      expect(await hget(key, ['profile', 'address', 'street']))
+        .to.be.equal('Sokoine');
+      expect(await hget(key, 'unknown')).to.be.null;
+    });
+
+    it('should be able to set nested field', async function () {
+      await hset(key, 'profile.address.city', 'Arusha');
+      await hset(key, 'profile.phone', { mobile: '255714' });
+      expect(await hgetall(key)).to.be.eql({
+        name: 'John',
+        profile: {
+          address: { city: 'Arusha', street: 'Sokoine' },
+          phone: { mobile: '255714' }
+        },
+        stats: { views: 1 }
+      });
+    });
+
+    it('should replace scalar parent on nested field set', async function () {
+      const key = faker.random.uuid();
+
+      await hset(key, 'profile', 'none');
+      await hset(key, 'profile.city', 'Dar');
+      expect(await hkeys(key)).to.have.members(['profile.city']);
+      expect(await hgetall(key)).to.be.eql({ profile: { city: 'Dar' } });
+    });
+
+    it('should replace nested fields on scalar set', async function () {
+      const key = faker.random.uuid();
+
+      await hset(key, 'profile', { city: 'Dar', phone: { mobile: '255' } });
+      await hset(key, 'profile', 'none');
+      expect(await hkeys(key)).to.have.members(['profile']);
+      expect(await hgetall(key)).to.be.eql({ profile: 'none' });
+    });
+
+    it('should be able to increment nested field', async function () {
+      expect(await hincrby(key, 'stats.views', 2)).to.be.equal(3);
+      expect(await hincrby(key, 'stats.likes')).to.be.equal(1);
+    });
+
+    it('should be able to check nested field', async function () {
+      expect(await hexists(key, 'profile.address.city')).to.be.true;
+      expect(await hexists(key, 'profile.address')).to.be.true;
+      expect(await hexists(key, 'profile.unknown')).to.be.false;
+    });
+
+    it('should be able to delete nested fields', async function () {
+      expect(await hdel(key, ['profile.address', 'stats.likes'])).to.be.equal(3);
+      expect(await hkeys(key)).to.have.members([
+        'name', 'profile.phone.mobile', 'stats.views'
+      ]);
+    });
+
+  });
+
+  describe('list', function () {
+
+    it('should be able to push and range values', function (done) {
+      const key = faker.random.uuid();
+      const user = { name: faker.name.firstName() };
+
+      rpush(key, 1, 'a', user, function (error, length) {
+        expect(error).to.not.exist;
+        expect(length).to.be.equal(3);
+
+        lpush(key, [true, 2], function (error, length) {
+          expect(error).to.not.exist;
+          expect(length).to.be.equal(5);
+
+          lrange(key, function (error, values) {
+            expect(error).to.not.exist;
+            expect(values).to.be.eql([2, true, 1, 'a', user]);
+            done(error, values);
+          });
+        });
+      });
+
+    });
+
+    it('should be able to pop values', async function () {
+      const key = faker.random.uuid();
+      const user = { name: faker.name.firstName() };
+
+      await rpush(key, user, 1, 2);
+      expect(await lpop(key)).to.be.eql(user);
+      expect(await rpop(key)).to.be.equal(2);
+      expect(await llen(key)).to.be.equal(1);
+      expect(await lpop(key)).to.be.equal(1);
+      expect(await lpop(key)).to.not.exist;
+    });
+
+    it('should be able to trim and remove values', async function () {
+      const key = faker.random.uuid();
+
+      await rpush(key, 'a', 'b', 'a', 'c', 'd');
+      expect(await lrem(key, 0, 'a')).to.be.equal(2);
+      await ltrim(key, 0, 1);
+      expect(await lrange(key, 0, -1)).to.be.eql(['b', 'c']);
+    });
+
+    it('should be able to block pop values', function (done) {
+      const key = faker.random.uuid();
+      const user = { name: faker.name.firstName() };
+
+      blpop(['empty', key], 1, function (error, reply) {
+        expect(error).to.not.exist;
+        expect(reply).to.be.eql([key, user]);
+        expect(redis._clients).to.have.length(4);
+        done(error, reply);
+      });
+      setTimeout(function () {
+        rpush(key, user);
+      }, 50);
+
+    });
+
+    it('should be able to timeout block pop', async function () {
+      const reply = await brpop(faker.random.uuid(), 1);
+      expect(reply).to.be.null;
+    });
+
+    it('should reuse idle blocking clients', async function () {
+      const clients = redis._clients.length;
+      await brpop(faker.random.uuid(), 1);
+      await brpop(faker.random.uuid(), 1);
+      expect(redis._clients).to.have.length(clients);
+
+      await Promise.all([
+        brpop(faker.random.uuid(), 1),
+        brpop(faker.random.uuid(), 1)
+      ]);
+      expect(redis._clients).to.have.length(clients + 1);
+    });
+
+  });
+
+  describe('sets', function () {
+
+    it('should be able to add and list members', function (done) {
+      const key = faker.random.uuid();
+      const user = { name: faker.name.firstName() };
+
+      sadd(key, 1, 'a', user, function (error, added) {
+        expect(error).to.not.exist;
+        expect(added).to.be.equal(3);
+
+        smembers(key, function (error, members) {
+          expect(error).to.not.exist;
+          expect(members).to.have.deep.members([1, 'a', user]);
+          done(error, members);
+        });
+      });
+
+    });
+
+    it('should be able to check and remove members', async function () {
+      const key = faker.random.uuid();
+      const user = { name: faker.name.firstName() };
+
+      await sadd(key, [user, 'a', 'b']);
+      expect(await sismember(key, user)).to.be.true;
+      expect(await sismember(key, 'c')).to.be.false;
+      expect(await srem(key, 'a', user)).to.be.equal(2);
+      expect(await scard(key)).to.be.equal(1);
+    });
+
+    it('should be able to intersect and union prefixed sets', async function () {
+      const [first, second] = [faker.random.uuid(), faker.random.uuid()];
+
+      await sadd(first, 1, 2, 3);
+      await sadd(second, 2, 3, 4);
+      expect(await sinter(first, second)).to.have.members([2, 3]);
+      expect(await sunion([first, second])).to.have.members([1, 2, 3, 4]);
+    });
+
+  });
+
+  describe('sorted sets', function () {
+
+    const key = faker.random.uuid();
+    const user = { name: faker.name.firstName() };
+
+    before(function (done) {
+      zadd(key, 1, 'a', 3, user, 2, 'b', done);
+    });
+
+    it('should be able to range members', async function () {
+      expect(await zrange(key)).to.be.eql(['a', 'b', user]);
+      expect(await zrevrange(key, 0, 1)).to.be.eql([user, 'b']);
+      expect(await zrange(key, 0, 0, { withScores: true }))
+        .to.be.eql([{ member: 'a', score: 1 }]);
+    });
+
+    it('should be able to range members by score', function (done) {
+      zrangebyscore(key, 0, '+inf', { withScores: true, offset: 1, count: 2 },
+        function (error, members) {
+          expect(error).to.not.exist;
+          expect(members).to.be.eql([
+            { member: 'b', score: 2 },
+            { member: user, score: 3 }
+          ]);
+          done(error, members);
+        });
+    });
+
+    it('should be able to increment and score members', async function () {
+      expect(await zincrby(key, 5, user)).to.be.equal(8);
+      expect(await zscore(key, user)).to.be.equal(8);
+      expect(await zscore(key, 'unknown')).to.be.null;
+    });
+
+    it('should be able to remove members', async function () {
+      expect(await zrem(key, 'a', user)).to.be.equal(2);
+      expect(await zcard(key)).to.be.equal(1);
+    });
+
+  });
+
+  describe('serializer', function () {
+
+    afterEach(function () {
+      delete redis.defaults.serializer;
+    });
+
+    it('should use json serializer by default', async function () {
+      const key = faker.random.uuid();
+
+      await set(key, { code: '123', at: new Date(0) });
+      expect(await get(key))
+        .to.be.eql({ code: '123', at: new Date(0).toJSON() });
+
+      await set(key, 'true');
+      expect(await get(key)).to.be.equal('true');
+    });
+
+    it('should keep value types using tagged serializer', async function () {
+      const key = faker.random.uuid();
+      const { set, get, rpush, lrange } = redis.commands.using({
+        serializer: 'tagged'
+      });
+      const value = {
+        code: '123',
+        at: new Date(0),
+        data: Buffer.from('data'),
+        big: global.BigInt('9007199254740993')
+      };
+
+      await set(key, value);
+      expect(await get(key)).to.be.eql(value);
+
+      await rpush(['list', key], new Date(0));
+      expect(await lrange(['list', key])).to.be.eql([new Date(0)]);
+    });
+
+    it('should be able to use custom serializer', async function () {
+      const key = faker.random.uuid();
+      redis.defaults.serializer = {
+        encode: function (value) {
+          return ['custom', JSON.stringify(value)].join(':');
+        },
+        decode: function (value) {
+          return value ? JSON.parse(value.replace('custom:', '')) : value;
+        }
+      };
+
+      await hmset(key, { age: 1 });
+      expect(await hget(key, 'age')).to.be.equal(1);
+      const raw = await new Promise(function (resolve, reject) {
+        redis.client().hget(redis.key(key), 'age', function (error, value) {
+          return error ? reject(error) : resolve(value);
+        });
+      });
+      expect(raw).to.be.equal('custom:1');
+    });
+
+    it('should reject on invalid serializer', function (done) {
+      const { get } = redis.commands.using({ serializer: 'unknown' });
+      get(faker.random.uuid()).then(function () {
+        done(new Error('Should Reject'));
+      }, function (error) {
+        expect(error.message).to.be.equal('Invalid Serializer');
+        done();
+      });
+    });
+
+  });
+
+  describe('invalid keys', function () {
+
+    it('should reject on undefined key', function (done) {
+      get(undefined).then(function () {
+        done(new Error('Should Reject'));
+      }, function (error) {
+        expect(error.message).to.be.equal('Invalid Key Segment');
+        done();
+      });
+    });
+
+    it('should reply undefined key error using callback', function (done) {
+      set(['users', undefined], 1, function (error) {
+        expect(error).to.exist;
+        expect(error.message).to.be.equal('Invalid Key Segment');
+        done();
+      });
+    });
+
+  });
+
+  describe('promise', function () {
+
+    it('should be able to set and get using promise', function () {
+      const key = faker.random.uuid();
+      const value = faker.random.number();
+
+      return set(key, value).then(function (result) {
+        expect(result).to.be.eql(value);
+        return get(key);
+      }).then(function (result) {
+        expect(result).to.be.eql(value);
+      });
+
+    });
+
+    it('should be able to set with expiry using promise', async function () {
+      const key = faker.random.uuid();
+      const value = faker.random.word();
+
+      const result = await set(key, value, 'EX', 1, 'NX');
+      expect(result).to.be.eql(value);
+      expect(await get(key)).to.be.eql(value);
+    });
+
+    it('should be able to hmset and hgetall using promise', async function () {
+      const key = faker.random.uuid();
+      const value = _.omit(faker.helpers.createCard(), 'accountHistory');
+
+      const result = await hmset(key, value);
+      expect(result).to.be.eql(value);
+      expect(await hgetall(key)).to.be.eql(value);
+    });
+
+  });
+
   after(function (done) {
     redis.clear(done);
   });
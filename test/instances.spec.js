@@ -0,0 +1,104 @@
+'use strict';
+
+/* dependencies */
+const path = require('path');
+const { expect } = require('chai');
+const faker = require('faker');
+
+const factory = require(path.join(__dirname, '..'));
+const redis = factory();
+
+
+describe('instances', function () {
+
+  let jobs;
+  let mails;
+
+  before(function (done) {
+    redis.clear(done);
+  });
+
+  before(function () {
+    redis.reset();
+  });
+
+  before(function () {
+    jobs = factory.create({ prefix: 'jobs' });
+    mails = redis.create({ prefix: 'mails' });
+  });
+
+  it('should create isolated instances', function () {
+    expect(jobs).to.not.be.equal(redis);
+    expect(jobs).to.not.be.equal(mails);
+    expect(jobs.commands).to.not.be.equal(redis.commands);
+    expect(jobs.scripts).to.not.be.equal(redis.scripts);
+    expect(jobs.client()).to.not.be.equal(redis.client());
+  });
+
+  it('should have own defaults', function () {
+    expect(jobs.defaults.prefix).to.be.equal('jobs');
+    expect(mails.defaults.prefix).to.be.equal('mails');
+    expect(redis.defaults.prefix).to.be.equal('r');
+    expect(jobs.key('1')).to.be.equal('jobs:1');
+    expect(mails.key('1')).to.be.equal('mails:1');
+    expect(redis.key('1')).to.be.equal('r:1');
+  });
+
+  it('should bind helpers to own instance', async function () {
+    const id = faker.random.uuid();
+    await jobs.commands.set(id, 'job');
+    await mails.commands.set(id, 'mail');
+
+    expect(await jobs.commands.get(id)).to.be.equal('job');
+    expect(await mails.commands.get(id)).to.be.equal('mail');
+    expect(await redis.commands.get(id)).to.be.null;
+    expect(jobs.namespace('queue').key('1')).to.be.equal('jobs:queue:1');
+  });
+
+  it('should count and clear own keys', async function () {
+    await jobs.clear();
+    await jobs.commands.set(faker.random.uuid(), 1);
+    await mails.commands.set(faker.random.uuid(), 1);
+
+    expect(await jobs.count('jobs:*')).to.be.equal(1);
+    await jobs.clear();
+    expect(await jobs.count('jobs:*')).to.be.equal(0);
+    expect(await mails.count('mails:*')).to.be.at.least(1);
+  });
+
+  it('should shutdown own clients only', async function () {
+    const client = jobs.client();
+    const other = mails.client();
+
+    await jobs.quit();
+    expect(client.connected).to.be.false;
+    expect(jobs._clients).to.be.empty;
+    expect(other.connected).to.be.true;
+    expect(mails._clients).to.include(other);
+  });
+
+  it('should keep own options after quit', async function () {
+    await jobs.quit();
+    expect(jobs.defaults.prefix).to.be.equal('jobs');
+    expect(jobs.key('1')).to.be.equal('jobs:1');
+    expect(redis.defaults.prefix).to.be.equal('r');
+  });
+
+  after(function (done) {
+    mails.clear(done);
+  });
+
+  after(function () {
+    mails.reset();
+    jobs.reset();
+  });
+
+  after(function (done) {
+    redis.clear(done);
+  });
+
+  after(function () {
+    redis.reset();
+  });
+
+});
@@ -0,0 +1,147 @@
+'use strict';
+
+/* dependencies */
+const path = require('path');
+const { expect } = require('chai');
+const faker = require('faker');
+
+const redis = require(path.join(__dirname, '..'))();
+
+
+/* wait for given milliseconds */
+const sleep = function (ms) {
+  return new Promise(function (resolve) {
+    setTimeout(resolve, ms);
+  });
+};
+
+
+/* consume points sequentially */
+const consume = async function (id, times, options) {
+  const results = [];
+  for (let i = 0; i < times; i++) {
+    results.push(await redis.rateLimit(id, options));
+  }
+  return results;
+};
+
+
+describe('rate limit', function () {
+
+  before(function (done) {
+    redis.clear(done);
+  });
+
+  before(function () {
+    redis.reset();
+  });
+
+  it('should limit using fixed window', function (done) {
+    const id = faker.random.uuid();
+    const options = { points: 2, duration: '1m' };
+
+    consume(id, 2, options).then(function () {
+      redis.rateLimit(id, options, function (error, result) {
+        expect(error).to.not.exist;
+        expect(result.allowed).to.be.false;
+        expect(result.points).to.be.equal(2);
+        expect(result.remaining).to.be.equal(0);
+        expect(result.reset).to.be.above(Date.now());
+        expect(result.retryAfter).to.be.above(0);
+        done(error, result);
+      });
+    }, done);
+  });
+
+  it('should reset fixed window after duration', async function () {
+    const id = faker.random.uuid();
+    const options = { points: 1, duration: '50ms' };
+
+    const [first, second] = await consume(id, 2, options);
+    expect(first.allowed).to.be.true;
+    expect(first.remaining).to.be.equal(0);
+    expect(second.allowed).to.be.false;
+
+    await sleep(80);
+    const third = await redis.rateLimit(id, options);
+    expect(third.allowed).to.be.true;
+  });
+
+  it('should limit using sliding window', async function () {
+    const id = faker.random.uuid();
+    const options = { points: 2, duration: 100, strategy: 'sliding' };
+
+    const results = await consume(id, 3, options);
+    expect(results[0].allowed).to.be.true;
+    expect(results[0].remaining).to.be.equal(1);
+    expect(results[1].allowed).to.be.true;
+    expect(results[1].remaining).to.be.equal(0);
+    expect(results[2].allowed).to.be.false;
+    expect(results[2].retryAfter).to.be.within(1, 100);
+
+    await sleep(120);
+    const result = await redis.rateLimit(id, options);
+    expect(result.allowed).to.be.true;
+    expect(result.remaining).to.be.equal(1);
+  });
+
+  it('should limit using token bucket', async function () {
+    const id = faker.random.uuid();
+    const options = { points: 2, duration: 100, strategy: 'tokenBucket' };
+
+    const results = await consume(id, 3, options);
+    expect(results[0].allowed).to.be.true;
+    expect(results[0].remaining).to.be.equal(1);
+    expect(results[1].allowed).to.be.true;
+    expect(results[2].allowed).to.be.false;
+    expect(results[2].retryAfter).to.be.within(1, 50);
+
+    await sleep(60);
+    const result = await redis.rateLimit(id, options);
+    expect(result.allowed).to.be.true;
+  });
+
+  it('should use prefixed keys', async function () {
+    const id = faker.random.uuid();
+    await redis.rateLimit(['ip', id]);
+    const ttl = await redis.commands.pttl(['ratelimit', 'fixed', 'ip', id]);
+    expect(ttl).to.be.within(1, 1000);
+  });
+
+  it('should reject invalid strategy', function (done) {
+    redis.rateLimit(faker.random.uuid(), { strategy: 'leaky' }, function (
+      error) {
+      expect(error).to.exist;
+      expect(error.message).to.be.equal('Invalid Rate Limit Strategy');
+      expect(error.status).to.be.equal(400);
+      done();
+    });
+  });
+
+  it('should reject undefined id', function (done) {
+    redis.rateLimit(undefined).then(function () {
+      done(new Error('Should Reject'));
+    }, function (error) {
+      expect(error.message).to.be.equal('Invalid Key Segment');
+      done();
+    });
+  });
+
+  it('should reject invalid duration', function (done) {
+    const id = faker.random.uuid();
+    redis.rateLimit(id, { duration: 'soon' }, function (error) {
+      expect(error).to.exist;
+      expect(error.message).to.be.equal('Invalid Duration');
+      done();
+    });
+  });
+
+  after(function (done) {
+    redis.clear(done);
+  });
+
+  after(function () {
+    redis.reset();
+  });
+
+});
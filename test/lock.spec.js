@@ -0,0 +1,128 @@
+'use strict';
+
+/* dependencies */
+const path = require('path');
+const { expect } = require('chai');
+const faker = require('faker');
+
+const redis = require(path.join(__dirname, '..'))();
+const { get, pttl } = redis.commands;
+
+
+describe('lock', function () {
+
+  before(function (done) {
+    redis.clear(done);
+  });
+
+  before(function () {
+    redis.reset();
+  });
+
+  it('should acquire and release lock', function (done) {
+    const resource = faker.random.uuid();
+
+    redis.lock(resource, function (error, lock) {
+      expect(error).to.not.exist;
+      expect(lock.key).to.be.equal(redis.key('lock', resource));
+      expect(lock.token).to.exist;
+      expect(lock.expiresAt).to.be.above(Date.now());
+
+      lock.release(function (error, released) {
+        expect(error).to.not.exist;
+        expect(released).to.be.true;
+        done(error, released);
+      });
+    });
+  });
+
+  it('should fail to acquire held lock', async function () {
+    const resource = faker.random.uuid();
+    await redis.lock(resource);
+
+    try {
+      await redis.lock(resource);
+      throw new Error('Should Not Acquire');
+    } catch (error) {
+      expect(error.message).to.be.equal('Lock Not Acquired');
+      expect(error.status).to.be.equal(423);
+    }
+  });
+
+  it('should retry to acquire lock', async function () {
+    const resource = faker.random.uuid();
+    const lock = await redis.lock(resource, { ttl: '1s' });
+    setTimeout(function () {
+      lock.release();
+    }, 50);
+
+    const other = await redis.lock(resource, { retries: 10, retryDelay: 20 });
+    expect(other.token).to.not.be.equal(lock.token);
+    await other.release();
+  });
+
+  it('should not release lock held by other', async function () {
+    const resource = faker.random.uuid();
+    const lock = await redis.lock(resource, { ttl: 20 });
+    await new Promise(function (resolve) {
+      setTimeout(resolve, 40);
+    });
+    const other = await redis.lock(resource);
+
+    expect(await lock.release()).to.be.false;
+    expect(await get(['lock', resource])).to.be.equal(other.token);
+    expect(await other.release()).to.be.true;
+  });
+
+  it('should extend held lock', async function () {
+    const resource = faker.random.uuid();
+    const lock = await redis.lock(resource, { ttl: 1000 });
+
+    const extended = await lock.extend('1m');
+    expect(extended.expiresAt).to.be.above(Date.now() + 59000);
+    expect(await pttl(['lock', resource])).to.be.above(59000);
+
+    await lock.release();
+    try {
+      await lock.extend(1000);
+      throw new Error('Should Not Extend');
+    } catch (error) {
+      expect(error.message).to.be.equal('Lock Not Held');
+      expect(error.status).to.be.equal(409);
+    }
+  });
+
+  it('should reject undefined resource', function (done) {
+    redis.lock(undefined, function (error) {
+      expect(error).to.exist;
+      expect(error.message).to.be.equal('Invalid Key Segment');
+      done();
+    });
+  });
+
+  it('should reject invalid ttl', function (done) {
+    const resource = faker.random.uuid();
+
+    redis.lock(resource, { ttl: 'soon' }, function (error) {
+      expect(error).to.exist;
+      expect(error.message).to.be.equal('Invalid Duration');
+
+      redis.lock(resource, { ttl: 1000 }, function (error, lock) {
+        expect(error).to.not.exist;
+        lock.extend('later').catch(function (error) {
+          expect(error.message).to.be.equal('Invalid Duration');
+          lock.release(done);
+        });
+      });
+    });
+  });
+
+  after(function (done) {
+    redis.clear(done);
+  });
+
+  after(function () {
+    redis.reset();
+  });
+
+});
@@ -0,0 +1,194 @@
+'use strict';
+
+/* dependencies */
+const path = require('path');
+const _ = require('lodash');
+const { expect } = require('chai');
+const faker = require('faker');
+
+const redis = require(path.join(__dirname, '..'))();
+const { set, get } = redis.commands;
+
+
+describe('instrumentation', function () {
+
+  before(function (done) {
+    redis.clear(done);
+  });
+
+  before(function () {
+    redis.reset();
+  });
+
+  it('should invoke hooks around command helpers', async function () {
+    const id = faker.random.uuid();
+    const befores = [];
+    const afters = [];
+    const sent = function (details) {
+      return details.key === redis.key(id);
+    };
+    const uninstrument = redis.instrument({
+      before: function (details) {
+        return sent(details) && befores.push(details);
+      },
+      after: function (details) {
+        return sent(details) && afters.push(details);
+      }
+    });
+
+    await set(id, 'lally');
+    await get(id);
+    uninstrument();
+    await get(id);
+
+    expect(_.map(befores, 'command')).to.be.eql(['set', 'get']);
+    expect(_.map(afters, 'command')).to.be.eql(['set', 'get']);
+    expect(_.map(afters, 'key')).to.be.eql([redis.key(id), redis.key(id)]);
+    expect(afters[0].client).to.be.equal('client');
+    expect(afters[0].duration).to.be.a('number');
+    expect(afters[0].error).to.not.exist;
+  });
+
+  it('should invoke hooks on raw client errors', function (done) {
+    const key = redis.key(faker.random.uuid());
+    const uninstrument = redis.instrument({
+      after: function (details) {
+        if (details.command === 'hget') {
+          uninstrument();
+          expect(details.key).to.be.equal(key);
+          expect(details.error).to.exist;
+        }
+      }
+    });
+
+    const client = redis.client();
+    client.set(key, 1, function () {
+      client.hget(key, 'name', function (error) {
+        expect(error).to.exist;
+        done();
+      });
+    });
+  });
+
+  it('should invoke hooks around count and clear', async function () {
+    const commands = [];
+    const uninstrument = redis.instrument({
+      after: function ({ command }) {
+        commands.push(command);
+      }
+    });
+
+    await redis.count(redis.key('*'));
+    await redis.clear('instrumented');
+    uninstrument();
+
+    expect(commands).to.include('evalsha');
+    expect(commands).to.include('scan');
+  });
+
+  it('should not break commands on hook errors', function (done) {
+    const id = faker.random.uuid();
+    const errors = [];
+    const onError = function (name, error) {
+      errors.push([name, error.message]);
+    };
+    redis.events.on('error', onError);
+    const uninstrument = redis.instrument({
+      before: function () {
+        throw new Error('Before Failed');
+      },
+      after: function () {
+        throw new Error('After Failed');
+      }
+    });
+
+    redis.client().set(redis.key(id), 1, function (error, reply) {
+      uninstrument();
+      redis.events.removeListener('error', onError);
+      expect(error).to.not.exist;
+      expect(reply).to.be.equal('OK');
+      expect(errors).to.deep.include(['client', 'Before Failed']);
+      expect(errors).to.deep.include(['client', 'After Failed']);
+      done();
+    });
+  });
+
+  it('should redact credentials from hooks args', function (done) {
+    const sent = [];
+    const collect = function ({ command, args }) {
+      sent.push({ command, args });
+    };
+    const client = redis.createClient({ redis: { auth: 's3cret' } });
+    client.on('error', _.noop);
+
+    client.once('ready', function () {
+      const uninstrument = redis.instrument({ before: collect, after: collect });
+
+      /* force reconnect, so auth is resent */
+      client.once('ready', function () {
+        const hello = [3, 'AUTH', 'john', 's3cret', 'SETNAME', 'hello'];
+        const migrate = [
+          'localhost', 6380, '', 0, 100, 'AUTH2', 'john', 's3cret', 'KEYS', 'k'
+        ];
+        // jshint camelcase:false
+        client.send_command('hello', hello, function () {
+          client.send_command('migrate', migrate, function () {
+            uninstrument();
+            const args = _.flatten(_.map(sent, 'args'));
+            expect(_.map(sent, 'command')).to.include.members([
+              'auth', 'hello', 'migrate'
+            ]);
+            expect(args).to.not.include('s3cret');
+            expect(args).to.include.members(['john', 'SETNAME', 'KEYS']);
+            redis.closeClient(client, done);
+          });
+        });
+        // jshint camelcase:true
+      });
+      client.stream.destroy();
+    });
+  });
+
+  it('should expose metrics in prometheus text format', async function () {
+    const collector = redis.collector({ buckets: [0.5, 5] });
+    const id = faker.random.uuid();
+
+    await set(id, 'lally');
+    await get(id);
+    await get(id);
+    try {
+      await redis.commands.hget(id, 'name');
+    } catch (error) {
+      expect(error).to.exist;
+    }
+    collector.stop();
+    await get(id);
+
+    const metrics = collector.metrics();
+    expect(metrics).to.contain('# TYPE redis_commands_total counter');
+    expect(metrics).to.contain('redis_commands_total{command="get"} 2');
+    expect(metrics).to.contain('redis_commands_total{command="set"} 1');
+    expect(metrics).to.contain(
+      'redis_command_errors_total{command="hget"} 1');
+    expect(metrics).to.contain(
+      '# TYPE redis_command_duration_seconds histogram');
+    expect(metrics).to.contain(
+      'redis_command_duration_seconds_bucket{command="get",le="5"} 2');
+    expect(metrics).to.contain(
+      'redis_command_duration_seconds_bucket{command="get",le="+Inf"} 2');
+    expect(metrics).to.contain(
+      'redis_command_duration_seconds_count{command="get"} 2');
+
+    collector.reset();
+    expect(collector.metrics()).to.not.contain('command="get"');
+  });
+
+  after(function (done) {
+    redis.clear(done);
+  });
+
+  after(function () {
+    redis.reset();
+  });
+
+});
@@ -0,0 +1,124 @@
+'use strict';
+
+/* dependencies */
+const path = require('path');
+const { expect } = require('chai');
+const faker = require('faker');
+
+const redis = require(path.join(__dirname, '..'))();
+const { set, get } = redis.commands;
+
+
+describe('namespace', function () {
+
+  before(function (done) {
+    redis.clear(done);
+  });
+
+  before(function () {
+    redis.reset();
+  });
+
+  it('should prepare namespaced keys', function () {
+    const users = redis.namespace('users');
+    expect(users.prefix).to.be.equal('r:users');
+    expect(users.key('1')).to.be.equal('r:users:1');
+    expect(users.key(['1', 'profile'])).to.be.equal('r:users:1:profile');
+    expect(users.key()).to.match(/^r:users:.+/);
+  });
+
+  it('should nest namespaces', function () {
+    const sessions = redis.namespace('users').namespace('sessions');
+    expect(sessions.prefix).to.be.equal('r:users:sessions');
+    expect(sessions.key('1')).to.be.equal('r:users:sessions:1');
+  });
+
+  it('should throw if namespace is missing', function () {
+    expect(function () {
+      redis.namespace();
+    }).to.throw(/Missing Namespace/);
+  });
+
+  it('should bind commands to namespace', function (done) {
+    const users = redis.namespace('users');
+    const id = faker.random.uuid();
+    const user = { name: faker.name.firstName() };
+
+    users.set(id, user, function (error) {
+      expect(error).to.not.exist;
+      get(['users', id], function (error, value) {
+        expect(error).to.not.exist;
+        expect(value).to.be.eql(user);
+        users.mget([id], function (error, values) {
+          expect(values).to.be.eql([user]);
+          done(error, values);
+        });
+      });
+    });
+  });
+
+  it('should keep namespace when bound to other options', async function () {
+    const users = redis.namespace('users');
+    const { set: _set } = users.using({ serializer: 'json' });
+    const id = faker.random.uuid();
+    await _set(id, 'lally');
+    expect(await get(['users', id])).to.be.equal('lally');
+  });
+
+  it('should count and clear only keys within namespace', async function () {
+    const users = redis.namespace('users');
+    const sessions = users.namespace('sessions');
+    await users.clear();
+    await set(['usersx', '1'], 1);
+    await set('users', 1);
+    await users.set('1', 1);
+    await users.set('2', 2);
+    await sessions.set('1', 1);
+
+    expect(await users.count()).to.be.equal(3);
+    expect(await users.count('1*', 'sessions:*')).to.be.eql([1, 1]);
+    expect(await sessions.count()).to.be.equal(1);
+
+    await sessions.clear();
+    expect(await users.count()).to.be.equal(2);
+
+    await users.clear();
+    expect(await users.count()).to.be.equal(0);
+    expect(await get(['usersx', '1'])).to.be.equal(1);
+    expect(await get('users')).to.be.equal(1);
+  });
+
+  it('should escape pattern characters in namespace', async function () {
+    const odd = redis.namespace('odd*');
+    await set(['oddity', '1'], 1);
+    await odd.set('1', 1);
+    expect(await odd.count()).to.be.equal(1);
+    await odd.clear();
+    expect(await get(['oddity', '1'])).to.be.equal(1);
+  });
+
+  it('should escape separator in namespace if enabled', async function () {
+    redis.defaults.escape = true;
+    try {
+      const odd = redis.namespace('odd:one');
+      await set(['odd', 'one', '1'], 1);
+      await odd.set('1', 1);
+      expect(odd.key('1')).to.be.equal('r:odd\\:one:1');
+      expect(await odd.count()).to.be.equal(1);
+      await odd.clear();
+      expect(await odd.count()).to.be.equal(0);
+      expect(await get(['odd', 'one', '1'])).to.be.equal(1);
+    } finally {
+      delete redis.defaults.escape;
+    }
+  });
+
+  after(function (done) {
+    redis.clear(done);
+  });
+
+  after(function () {
+    redis.reset();
+  });
+
+});
@@ -1,6 +1,7 @@
 'use strict';
 
 /* dependencies */
+const net = require('net');
 const path = require('path');
 const _ = require('lodash');
 const expect = require('chai').expect;
@@ -154,6 +155,96 @@ describe('redis', function () {
     expect(key3).to.be.equal('r:users:likes:vegetables');
   });
 
+  it('should join key segments as is by default', function () {
+    expect(redis.key('users:1')).to.be.equal('r:users:1');
+    expect(redis.key('users:1')).to.be.equal(redis.key('users', 1));
+    expect(redis.key('{x}', 'y')).to.be.equal('r:{x}:y');
+  });
+
+  it('should escape separator within key segments if enabled', function () {
+    redis.defaults.escape = true;
+    try {
+      expect(redis.key('a:b')).to.be.equal('r:a\\:b');
+      expect(redis.key('a:b')).to.not.be.equal(redis.key('a', 'b'));
+      expect(redis.key('a\\b')).to.be.equal('r:a\\\\b');
+      expect(redis.key('users', 1)).to.be.equal('r:users:1');
+    } finally {
+      delete redis.defaults.escape;
+    }
+  });
+
+  it('should escape braces within key segments if enabled', function () {
+    redis.defaults.escape = true;
+    try {
+      const key = redis.key('{x}', 'y');
+      expect(key).to.be.equal('r:\\{x\\}:y');
+      expect(key).to.not.be.equal(redis.key(redis.tag('x'), 'y'));
+      expect(redis.parseKey(key)).to.be.eql({
+        prefix: 'r',
+        segments: ['{x}', 'y']
+      });
+    } finally {
+      delete redis.defaults.escape;
+    }
+  });
+
+  it('should reject empty or undefined key segments', function () {
+    expect(function () {
+      redis.key('users', undefined);
+    }).to.throw(/Invalid Key Segment/);
+    expect(function () {
+      redis.key(['users', '']);
+    }).to.throw(/Invalid Key Segment/);
+    expect(function () {
+      redis.key(redis.tag());
+    }).to.throw(/Invalid Key Segment/);
+  });
+
+  it('should create redis key with cluster hash tag', function () {
+    const key = redis.key(redis.tag('users', 1), 'profile');
+    expect(key).to.be.equal('r:{users:1}:profile');
+  });
+
+  it('should parse redis key', function () {
+    expect(redis.parseKey(redis.key('users', 1))).to.be.eql({
+      prefix: 'r',
+      segments: ['users', '1']
+    });
+    expect(redis.parseKey(redis.key(redis.tag('users', 1), 'x'))).to.be
+      .eql({
+        prefix: 'r',
+        segments: ['users', '1', 'x'],
+        tag: ['users', '1']
+      });
+  });
+
+  it('should parse escaped redis key', function () {
+    redis.defaults.escape = true;
+    try {
+      expect(redis.parseKey(redis.key('users', 'a:b', 'c\\d'))).to.be.eql({
+        prefix: 'r',
+        segments: ['users', 'a:b', 'c\\d']
+      });
+      expect(redis.parseKey(redis.key(redis.tag('users', 'a:b'), 'x')))
+        .to.be.eql({
+          prefix: 'r',
+          segments: ['users', 'a:b', 'x'],
+          tag: ['users', 'a:b']
+        });
+    } finally {
+      delete redis.defaults.escape;
+    }
+  });
+
+  it('should throw when parsing invalid redis key', function () {
+    expect(function () {
+      redis.parseKey('x:users');
+    }).to.throw(/Invalid Key/);
+    expect(function () {
+      redis.parseKey('r:');
+    }).to.throw(/Invalid Key/);
+  });
+
   it('should be able to create a new instance of redis client', function () {
     const client = redis.createClient();
     expect(client).to.exist;
@@ -241,6 +332,43 @@ describe('redis', function () {
     });
   });
 
+  describe('clear in batches', function () {
+
+    before(function (done) {
+      redis.clear(done);
+    });
+
+    before(function (done) {
+      const multi = redis.multi();
+      _.times(25, function (n) {
+        multi.set(redis.key('batches', n), n);
+      });
+      multi.exec(done);
+    });
+
+    it('should be able to clear data in chunks', function (done) {
+      const progress = [];
+      const options = {
+        batchSize: 10,
+        chunkSize: 3,
+        progress: function (state) {
+          progress.push(state);
+        }
+      };
+
+      redis.clear('batches', options, function (error, response) {
+        expect(error).to.not.exist;
+        expect(response).to.have.length(25);
+        expect(_.uniq(response)).to.be.eql([1]);
+        expect(progress.length).to.be.at.least(9);
+        expect(_.last(progress).deleted).to.be.equal(25);
+        expect(_.last(progress).pattern).to.be.equal('r:batches*');
+        done(error, response);
+      });
+    });
+
+  });
+
   describe('count', function () {
 
     before(function (done) {
@@ -282,6 +410,594 @@ describe('redis', function () {
 
       });
 
+    it(
+      'should be able to count size of keys in batches',
+      function (done) {
+
+        const progress = [];
+        const options = {
+          batchSize: 1,
+          progress: function (state) {
+            progress.push(state);
+          }
+        };
+
+        redis
+          .count('abc:*', options, function (error, count) {
+            expect(error).to.not.exist;
+            expect(count).to.be.equal(3);
+            expect(progress.length).to.be.at.least(3);
+            expect(_.last(progress).pattern).to.be.equal('abc:*');
+            expect(_.last(progress).count).to.be.equal(3);
+            done(error, count);
+          });
+
+      });
+
+  });
+
+  describe('promise', function () {
+
+    before(function (done) {
+      redis.clear(done);
+    });
+
+    before(function (done) {
+      redis.client().multi()
+        .set(redis.key('promise', 1), 1)
+        .set(redis.key('promise', 2), 2)
+        .exec(done);
+    });
+
+    it('should be able to obtain redis server info', async function () {
+      const info = await redis.info();
+      expect(info).to.exist;
+    });
+
+    it('should be able to count keys', async function () {
+      const count = await redis.count(redis.key('promise', '*'));
+      expect(count).to.be.equal(2);
+
+      const counts = await redis.count(redis.key('promise', '*'), 'xx:*');
+      expect(counts).to.be.eql([2, 0]);
+    });
+
+    it('should reject count with no patterns', function () {
+      return redis.count().then(function () {
+        throw new Error('Should Reject');
+      }, function (error) {
+        expect(error).to.exist;
+        expect(error.status).to.be.equal(400);
+      });
+    });
+
+    it('should be able to clear keys', async function () {
+      const response = await redis.clear('promise');
+      expect(response).to.have.length(2);
+      expect(await redis.count(redis.key('promise', '*'))).to.be.equal(0);
+    });
+
+  });
+
+  describe('named clients', function () {
+
+    before(function () {
+      redis.reset();
+    });
+
+    it('should name default clients', function () {
+      redis.init();
+      expect(redis.client()._name).to.be.equal('client');
+      expect(redis.publisher._name).to.be.equal('publisher');
+      expect(redis.subscriber._name).to.be.equal('subscriber');
+      expect(redis.client()._id).to.not.be.equal(redis.publisher._id);
+      expect(redis.publisher._id).to.not.be.equal(redis.subscriber._id);
+    });
+
+    it('should be able to create and register named client', function (done) {
+      const client = redis.createClient({ name: 'cache' });
+      expect(client._name).to.be.equal('cache');
+      expect(redis.getClient('cache')).to.be.equal(client);
+      expect(redis.listClients())
+        .to.include.members(['client', 'publisher', 'subscriber', 'cache']);
+
+      client.client('getname', function (error, name) {
+        expect(error).to.not.exist;
+        expect(name).to.be.equal('cache');
+        done(error, name);
+      });
+    });
+
+    it('should set server client name on subscriber', function (done) {
+      const subscriber = redis.createClient({ name: 'events' });
+      subscriber.subscribe('events', function (error) {
+        expect(error).to.not.exist;
+        redis.client().client('list', function (error, list) {
+          expect(error).to.not.exist;
+          expect(list).to.contain('name=events');
+          done(error, list);
+        });
+      });
+    });
+
+    it('should reject duplicate client name', function () {
+      expect(function () {
+        redis.createClient({ name: 'cache' });
+      }).to.throw(/Client Name Already Exists/);
+    });
+
+    it('should reject invalid client name', function () {
+      expect(function () {
+        redis.createClient({ name: 'my cache' });
+      }).to.throw(/Invalid Client Name/);
+    });
+
+    it('should be able to close single client', function (done) {
+      redis.closeClient('cache', function (error, name) {
+        expect(error).to.not.exist;
+        expect(name).to.be.equal('cache');
+        expect(redis.getClient('cache')).to.not.exist;
+        expect(redis.listClients()).to.not.include('cache');
+        expect(redis.client()._name).to.be.equal('client');
+        done(error, name);
+      });
+    });
+
+    it('should be able to close default client', async function () {
+      const client = redis.client();
+      await redis.closeClient(client);
+      expect(redis._client).to.not.exist;
+      expect(redis.client()).to.not.be.equal(client);
+      expect(redis.client()._name).to.be.equal('client');
+    });
+
+    it('should fail to close unknown client', function (done) {
+      redis.closeClient('unknown', function (error) {
+        expect(error).to.exist;
+        expect(error.status).to.be.equal(404);
+        done();
+      });
+    });
+
+    after(function () {
+      redis.reset();
+    });
+
+  });
+
+  describe('quit', function () {
+
+    let server;
+    let port;
+
+    before(function (done) {
+      //server which accept connections but never reply
+      server = net.createServer(function (socket) {
+        socket.resume();
+      });
+      server.listen(0, '127.0.0.1', function () {
+        port = server.address().port;
+        done();
+      });
+    });
+
+    beforeEach(function () {
+      redis.reset();
+    });
+
+    it('should flush pending commands before close', function (done) {
+      const key = redis.key('quit');
+      const client = redis.client();
+      client.set(key, 'flushed');
+
+      redis.quit(function (error) {
+        expect(error).to.not.exist;
+        expect(client.connected).to.be.false;
+        expect(redis._clients).to.be.empty;
+
+        redis.client().get(key, function (error, value) {
+          expect(error).to.not.exist;
+          expect(value).to.be.equal('flushed');
+          done(error, value);
+        });
+      });
+    });
+
+    it('should wait all clients to end', async function () {
+      const clients = [redis.client()].concat(_.values(redis.pubsub()));
+      const ended = [];
+      _.forEach(clients, function (client) {
+        client.once('end', function () {
+          ended.push(client._name);
+        });
+      });
+
+      await redis.quit();
+      expect(ended).to.include.members(['client', 'publisher', 'subscriber']);
+    });
+
+    it('should forcefully end clients after timeout', function (done) {
+      const client = redis.createClient({ redis: { port: port } });
+      const startedAt = Date.now();
+
+      redis.quit({ timeout: 100 }, function (error) {
+        expect(error).to.not.exist;
+        expect(Date.now() - startedAt).to.be.at.least(100);
+        expect(client.closing).to.be.true;
+        expect(client.connected).to.be.false;
+        done(error);
+      });
+    });
+
+    it('should quit gracefully on SIGTERM', function (done) {
+      //prevent process exit while testing
+      const keepAlive = _.noop;
+      process.on('SIGTERM', keepAlive);
+
+      const clients = [redis.client()].concat(_.values(redis.pubsub()));
+      const ended = _.after(clients.length, function () {
+        expect(redis._client).to.not.exist;
+        setImmediate(function () {
+          process.removeListener('SIGTERM', keepAlive);
+          done();
+        });
+      });
+      _.forEach(clients, function (client) {
+        client.once('end', ended);
+      });
+
+      process.emit('SIGTERM');
+    });
+
+    after(function (done) {
+      server.close(done);
+    });
+
+  });
+
+  describe('publish & subscribe', function () {
+
+    before(function () {
+      redis.reset();
+    });
+
+    it('should publish and receive parsed payload', function (done) {
+      const payload = { name: 'John', age: 20 };
+      const unsubscribe = redis.subscribe('users', function (message,
+        channel) {
+        expect(message).to.be.eql(payload);
+        expect(channel).to.be.equal('r:users');
+        unsubscribe(done);
+      }, function (error) {
+        expect(error).to.not.exist;
+        redis.publish('users', payload, function (error, receivers) {
+          expect(error).to.not.exist;
+          expect(receivers).to.be.equal(1);
+        });
+      });
+    });
+
+    it('should subscribe to channel patterns', function (done) {
+      const unsubscribe = redis.subscribe('users:*', function (message,
+        channel) {
+        expect(message).to.be.equal(1);
+        expect(channel).to.be.equal('r:users:1');
+        unsubscribe(done);
+      }, function (error) {
+        expect(error).to.not.exist;
+        redis.publish(['users', 1], 1);
+      });
+    });
+
+    it('should not escape channel names', function (done) {
+      redis.defaults.escape = true;
+      const unsubscribe = redis.subscribe('users:*', function (message,
+        channel) {
+        delete redis.defaults.escape;
+        expect(message).to.be.equal(1);
+        expect(channel).to.be.equal('r:users:1');
+        unsubscribe(done);
+      }, function (error) {
+        expect(error).to.not.exist;
+        redis.publish('users:1', 1);
+      });
+    });
+
+    it('should await subscription without callback', async function () {
+      const unsubscribe = await redis.subscribe('awaited', _.noop);
+      expect(unsubscribe).to.be.a('function');
+      expect(unsubscribe.then).to.not.exist;
+      await unsubscribe();
+    });
+
+    it('should re-emit handler errors on events', function (done) {
+      const onError = function (name, error) {
+        redis.events.removeListener('error', onError);
+        expect(name).to.be.equal('subscriber');
+        expect(error.message).to.be.equal('Handler Failed');
+      };
+      redis.events.on('error', onError);
+
+      const unsubscribeFailing = redis.subscribe('failing', function () {
+        throw new Error('Handler Failed');
+      });
+      const unsubscribe = redis.subscribe('failing', function (message) {
+        expect(message).to.be.equal(1);
+        expect(redis.events.listenerCount('error')).to.be.equal(0);
+        unsubscribeFailing().then(function () {
+          unsubscribe(done);
+        }, done);
+      }, function (error) {
+        expect(error).to.not.exist;
+        redis.publish('failing', 1);
+      });
+    });
+
+    it('should reject or re-emit subscribe errors', async function () {
+      const { subscriber } = redis.pubsub();
+      subscriber.end(true);
+
+      const errors = [];
+      const onError = function (name, error) {
+        errors.push(error);
+      };
+      redis.events.on('error', onError);
+
+      try {
+        await redis.subscribe('closed', _.noop);
+        throw new Error('Should Reject');
+      } catch (error) {
+        expect(error.code).to.be.equal('NR_CLOSED');
+      }
+
+      redis.subscribe('closed', _.noop);
+      await new Promise(function (resolve) {
+        setTimeout(resolve, 50);
+      });
+      redis.events.removeListener('error', onError);
+      expect(errors).to.have.length(1);
+      expect(errors[0].code).to.be.equal('NR_CLOSED');
+      await redis.reset({ timeout: 100 });
+    });
+
+    it('should unsubscribe only provided handler', function (done) {
+      const received = [];
+      let unsubscribeFirst;
+      let unsubscribeSecond;
+
+      const first = function (message) {
+        received.push(['first', message]);
+      };
+      const second = function (message) {
+        received.push(['second', message]);
+
+        //drop first handler and publish again
+        if (message === 'a') {
+          unsubscribeFirst().then(function () {
+            redis.publish('events', 'b');
+          });
+        }
+
+        //ensure first handler no longer receive
+        else {
+          expect(received).to.be.eql([
+            ['first', 'a'],
+            ['second', 'a'],
+            ['second', 'b']
+          ]);
+          unsubscribeSecond(done);
+        }
+      };
+
+      unsubscribeFirst = redis.subscribe('events', first);
+      unsubscribeSecond = redis.subscribe('events', second, function (error) {
+        expect(error).to.not.exist;
+        redis.publish('events', 'a');
+      });
+    });
+
+    after(function () {
+      redis.reset();
+    });
+
+  });
+
+  describe('health', function () {
+
+    before(function () {
+      redis.reset();
+    });
+
+    it('should report healthy clients and server details', async function () {
+      redis.init();
+      await Promise.all(_.map(redis._clients, function (client) {
+        return client.ready || new Promise(function (resolve) {
+          client.once('ready', resolve);
+        });
+      }));
+      const health = await redis.health();
+
+      expect(health.status).to.be.equal('healthy');
+      expect(_.map(health.clients, 'name'))
+        .to.include.members(['client', 'publisher', 'subscriber']);
+      _.forEach(health.clients, function (client) {
+        expect(client.connected).to.be.true;
+        expect(client.ready).to.be.true;
+        expect(client.latency).to.be.a('number');
+        expect(client.error).to.not.exist;
+      });
+
+      expect(health.server.role).to.be.equal('master');
+      expect(health.server.version).to.exist;
+      expect(health.server.memory.used).to.be.a('number');
+      expect(health.server.keyspace).to.be.an('object');
+    });
+
+    it('should report degraded if some clients are not ready', function (
+      done) {
+      const client = redis.createClient({
+        name: 'unreachable',
+        redis: { port: 1 }
+      });
+      client.on('error', _.noop);
+
+      redis.health({ timeout: 100 }, function (error, health) {
+        expect(error).to.not.exist;
+        expect(health.status).to.be.equal('degraded');
+
+        const details = _.find(health.clients, { name: 'unreachable' });
+        expect(details.connected).to.be.false;
+        expect(details.ready).to.be.false;
+        expect(details.latency).to.not.exist;
+        expect(details.error).to.exist;
+
+        client.end(true);
+        done(error, health);
+      });
+    });
+
+    it('should not create clients', async function () {
+      redis.reset();
+      const health = await redis.health({ timeout: 100 });
+      expect(health.status).to.be.equal('down');
+      expect(health.clients).to.be.empty;
+      expect(redis._clients).to.be.empty;
+    });
+
+    it('should not queue commands on unready clients', async function () {
+      redis.reset();
+      redis.defaults.redis = { port: 1 };
+      redis.init();
+      _.forEach(redis._clients, function (client) {
+        client.on('error', _.noop);
+      });
+
+      await redis.health({ timeout: 100 });
+      await redis.health({ timeout: 100 });
+      _.forEach(redis._clients, function (client) {
+        // jshint camelcase:false
+        expect(client.offline_queue.length).to.be.equal(0);
+        // jshint camelcase:true
+        client.end(true);
+      });
+    });
+
+    it('should report down if server is unreachable', async function () {
+      redis.reset();
+      redis.defaults.redis = { port: 1 };
+      redis.init();
+      _.forEach(redis._clients, function (client) {
+        client.on('error', _.noop);
+      });
+
+      const health = await redis.health({ timeout: 100 });
+      expect(health.status).to.be.equal('down');
+      expect(health.server).to.not.exist;
+      _.forEach(redis._clients, function (client) {
+        client.end(true);
+      });
+    });
+
+    after(function () {
+      redis.reset();
+    });
+
+  });
+
+  describe('events', function () {
+
+    before(function () {
+      redis.reset();
+    });
+
+    afterEach(function () {
+      redis.events.removeAllListeners();
+    });
+
+    it('should re-emit client lifecycle events with client name', function (
+      done) {
+      const events = [];
+      _.forEach(['connect', 'ready', 'end'], function (event) {
+        redis.events.on(event, function (name) {
+          if (name === 'events') {
+            events.push(event);
+          }
+        });
+      });
+
+      const client = redis.createClient({ name: 'events' });
+      client.once('ready', function () {
+        redis.closeClient(client, function () {
+          expect(events).to.be.eql(['connect', 'ready', 'end']);
+          done();
+        });
+      });
+    });
+
+    it('should reconnect using backoff settings', function (done) {
+      const delays = [];
+      redis.events.on('reconnecting', function (name, details) {
+        expect(name).to.be.equal('backoff');
+        delays.push(details.delay);
+      });
+
+      const client = redis.createClient({
+        name: 'backoff',
+        redis: { port: 1 },
+        reconnect: { initialDelay: 10, maxDelay: 30, maxAttempts: 3 }
+      });
+      client.get('backoff', function (error) {
+        expect(error).to.exist;
+        expect(delays).to.be.eql([10, 20, 30]);
+        client.end(true);
+        done();
+      });
+    });
+
+    it('should apply jitter to backoff delays', function (done) {
+      const delays = [];
+      redis.events.on('reconnecting', function (name, details) {
+        delays.push(details.delay);
+      });
+
+      const client = redis.createClient({
+        redis: { port: 1 },
+        reconnect: { initialDelay: 100, maxAttempts: 2, jitter: 0.5 }
+      });
+      client.get('jitter', function (error) {
+        expect(error).to.exist;
+        expect(delays[0]).to.be.within(50, 100);
+        expect(delays[1]).to.be.within(100, 200);
+        client.end(true);
+        done();
+      });
+    });
+
+    it('should re-emit client errors with client name', function (done) {
+      const client = redis.createClient({
+        name: 'failing',
+        redis: { port: 1 }
+      });
+      redis.events.once('error', function (name, error) {
+        expect(name).to.be.equal('failing');
+        expect(error).to.exist;
+        client.end(true);
+        done();
+      });
+    });
+
+    it('should catch client errors no one is listening for', function (
+      done) {
+      const client = redis.createClient({
+        redis: { port: 1 },
+        catchErrors: true
+      });
+      client.once('end', function () {
+        client.end(true);
+        done();
+      });
+    });
+
   });
 
   describe('connetion init', function () {
@@ -296,6 +1012,101 @@ describe('redis', function () {
       expect(client).to.exist;
     });
 
+    it('should support redis connection string with acl user', function () {
+      const options = { redis: 'redis://john:s3cr:et@localhost:6379/2' };
+      const client = redis.createClient(options);
+      client.on('error', _.noop);
+      expect(client).to.exist;
+      // jshint camelcase:false
+      expect(client.auth_pass).to.be.equal('s3cr:et');
+      // jshint camelcase:true
+      expect(client.auth).to.not.be.equal(client.constructor.prototype.auth);
+      client.end(true);
+    });
+
+    it('should authenticate acl user using node redis auth', function (done) {
+      const sent = [];
+      const uninstrument = redis.instrument({
+        before: function ({ command, args }) {
+          return command === 'auth' && sent.push(args);
+        }
+      });
+      const client = redis.createClient({
+        redis: { username: 'john', auth: 'secret' }
+      });
+      client.auth('secret', function (error, reply) {
+        uninstrument();
+        expect(error).to.not.exist;
+        expect(reply).to.be.equal('OK');
+        expect(sent).to.be.eql([
+          ['[REDACTED]', '[REDACTED]']
+        ]);
+        redis.closeClient(client, done);
+      });
+    });
+
+    it('should throw on acl user without password', function () {
+      const options = { redis: 'redis://localhost:6379?username=john' };
+      expect(function () {
+        redis.createClient(options);
+      }).to.throw(/Missing Password/);
+    });
+
+    it('should support redis connection string with password', function () {
+      const options = { redis: 'redis://:secret@localhost:6379' };
+      const client = redis.createClient(options);
+      client.on('error', _.noop);
+      expect(client).to.exist;
+      // jshint camelcase:false
+      expect(client.auth_pass).to.be.equal('secret');
+      // jshint camelcase:true
+      expect(client.auth).to.be.equal(client.constructor.prototype.auth);
+      client.end(true);
+    });
+
+    it('should support rediss connection string', function () {
+      const options = {
+        redis: 'rediss://localhost:6380?servername=redis.local&ca=' +
+          __filename + '&rejectUnauthorized=false'
+      };
+      const client = redis.createClient(options);
+      client.on('error', _.noop);
+      expect(client).to.exist;
+      expect(client.options.tls).to.exist;
+      expect(client.options.tls.servername).to.be.equal('redis.local');
+      expect(client.options.tls.rejectUnauthorized).to.be.false;
+      expect(Buffer.isBuffer(client.options.tls.ca)).to.be.true;
+      expect(client.options.ca).to.not.exist;
+      client.end(true);
+    });
+
+    it('should support tls options', function () {
+      const options = { redis: { host: 'localhost', port: 6380, tls: true } };
+      const client = redis.createClient(options);
+      client.on('error', _.noop);
+      expect(client).to.exist;
+      expect(client.options.tls).to.exist;
+      expect(client.options.tls.servername).to.be.equal('localhost');
+      client.end(true);
+    });
+
+    it('should support redis+unix connection string', function () {
+      const options = { redis: 'redis+unix:///tmp/redis.sock?db=2' };
+      const client = redis.createClient(options);
+      client.on('error', _.noop);
+      expect(client).to.exist;
+      expect(client.address).to.be.equal('/tmp/redis.sock');
+      expect(client.options.db).to.not.exist;
+      client.end(true);
+    });
+
+    it('should throw on unknown connection string protocol', function () {
+      const options = { redis: 'http://localhost:6379' };
+      expect(function () {
+        redis.createClient(options);
+      }).to.throw(/Invalid Connection String/);
+    });
+
     after(function () {
       redis.reset();
     });
@@ -0,0 +1,112 @@
+'use strict';
+
+/* dependencies */
+const path = require('path');
+const { expect } = require('chai');
+const faker = require('faker');
+
+const redis = require(path.join(__dirname, '..'))();
+const { set } = redis.commands;
+
+
+/* get and set key value atomically */
+const GETSET_SCRIPT = [
+  'local previous = redis.call("GET", KEYS[1])',
+  'redis.call("SET", KEYS[1], ARGV[1])',
+  'return previous'
+].join('\n');
+
+
+/* flush server script cache */
+const flush = function (done) {
+  redis.client().script('flush', done);
+};
+
+
+describe('scripts', function () {
+
+  before(function (done) {
+    redis.clear(done);
+  });
+
+  before(function () {
+    redis.reset();
+  });
+
+  it('should define built-in scripts', function () {
+    expect(redis.scripts.define).to.exist;
+    expect(redis.scripts.count).to.exist;
+    expect(redis.scripts.releaseLock).to.exist;
+    expect(redis.scripts.extendLock).to.exist;
+    expect(redis.scripts.fixedWindow).to.exist;
+    expect(redis.scripts.slidingWindow).to.exist;
+    expect(redis.scripts.tokenBucket).to.exist;
+  });
+
+  it('should define and run script', function (done) {
+    const key = faker.random.uuid();
+    const getset = redis.scripts.define('getset', GETSET_SCRIPT, { keys: 1 });
+    expect(getset).to.be.equal(redis.scripts.getset);
+
+    set(key, 'lally').then(function () {
+      redis.scripts.getset([redis.key(key)], ['elias'], function (error,
+        previous) {
+        expect(error).to.not.exist;
+        expect(previous).to.be.equal('lally');
+        done(error, previous);
+      });
+    }, done);
+  });
+
+  it('should reload script on NOSCRIPT', function (done) {
+    const key = redis.key(faker.random.uuid());
+    redis.scripts.define('getset', GETSET_SCRIPT);
+
+    redis.scripts.getset([key], ['lally']).then(function () {
+      flush(function (error) {
+        expect(error).to.not.exist;
+        redis.scripts.getset([key], ['elias'], function (error, previous) {
+          expect(error).to.not.exist;
+          expect(previous).to.be.equal('lally');
+          done(error, previous);
+        });
+      });
+    }, done);
+  });
+
+  it('should run built-in scripts after NOSCRIPT', function (done) {
+    flush(function (error) {
+      expect(error).to.not.exist;
+      redis.count('*', function (error, count) {
+        expect(error).to.not.exist;
+        expect(count).to.be.at.least(0);
+        done(error, count);
+      });
+    });
+  });
+
+  it('should reject unexpected number of keys', function (done) {
+    redis.scripts.define('getset', GETSET_SCRIPT, { keys: 1 });
+    redis.scripts.getset([], ['lally'], function (error) {
+      expect(error).to.exist;
+      expect(error.message).to.be.equal('Invalid Script Keys');
+      expect(error.status).to.be.equal(400);
+      done();
+    });
+  });
+
+  it('should throw on invalid script name', function () {
+    expect(function () {
+      redis.scripts.define('define', GETSET_SCRIPT);
+    }).to.throw(/Invalid Script Name/);
+  });
+
+  after(function (done) {
+    redis.clear(done);
+  });
+
+  after(function () {
+    redis.reset();
+  });
+
+});
@@ -0,0 +1,267 @@
+'use strict';
+
+/* dependencies */
+const net = require('net');
+const path = require('path');
+const _ = require('lodash');
+const { expect } = require('chai');
+const redis = require(path.join(__dirname, '..'))();
+
+
+/* parse redis protocol commands from socket data */
+const parse = function (data) {
+  const lines = data.toString().split('\r\n');
+  const commands = [];
+  let command;
+  _.forEach(lines, function (line) {
+    if (_.startsWith(line, '*')) {
+      command = [];
+      commands.push(command);
+    } else if (command && line && !_.startsWith(line, '$')) {
+      command.push(line);
+    }
+  });
+  return commands;
+};
+
+
+/* encode reply using redis protocol */
+const encode = function (reply) {
+  if (_.isNull(reply)) {
+    return '*-1\r\n';
+  }
+  if (_.isArray(reply)) {
+    return ['*', reply.length, '\r\n'].join('') + _.map(reply, encode).join('');
+  }
+  if (_.isNumber(reply)) {
+    return [':', reply, '\r\n'].join('');
+  }
+  return ['$', Buffer.byteLength(String(reply)), '\r\n', reply, '\r\n'].join('');
+};
+
+
+/* fake sentinel which responds with configured master */
+const createSentinel = function (master, done) {
+  const sentinel = { master: master, subscribers: [] };
+
+  sentinel.server = net.createServer(function (socket) {
+    socket.on('error', _.noop);
+    socket.on('data', function (data) {
+      _.forEach(parse(data), function ([command, ...args]) {
+        command = _.toLower(command);
+        if (command === 'sentinel' && _.first(args) === 'get-master-addr-by-name') {
+          const known = _.last(args) === 'mymaster';
+          socket.write(encode(known ? [sentinel.master.host,
+            String(sentinel.master.port)
+          ] : null));
+        } else if (command === 'subscribe') {
+          sentinel.subscribers.push(socket);
+          socket.write(encode(['subscribe', _.first(args), 1]));
+        } else {
+          socket.write('+OK\r\n');
+        }
+      });
+    });
+  });
+
+  sentinel.failover = function (master) {
+    const message = ['mymaster', sentinel.master.host, sentinel.master.port,
+      master.host, master.port
+    ].join(' ');
+    sentinel.master = master;
+    _.forEach(sentinel.subscribers, function (socket) {
+      socket.write(encode(['message', '+switch-master', message]));
+    });
+  };
+
+  sentinel.close = function (done) {
+    _.forEach(sentinel.subscribers, function (socket) {
+      socket.destroy();
+    });
+    sentinel.server.close(done);
+  };
+
+  sentinel.server.listen(0, '127.0.0.1', function () {
+    sentinel.port = sentinel.server.address().port;
+    done(null, sentinel);
+  });
+};
+
+
+/* tcp proxy to redis which act as old master */
+const createProxy = function (done) {
+  const proxy = { sockets: [] };
+
+  proxy.server = net.createServer(function (socket) {
+    const upstream = net.connect(6379, '127.0.0.1');
+    socket.on('error', _.noop);
+    upstream.on('error', _.noop);
+    socket.pipe(upstream).pipe(socket);
+    proxy.sockets.push(socket, upstream);
+  });
+
+  proxy.close = function (done) {
+    _.forEach(proxy.sockets, function (socket) {
+      socket.destroy();
+    });
+    proxy.server.close(done);
+  };
+
+  proxy.server.listen(0, '127.0.0.1', function () {
+    proxy.port = proxy.server.address().port;
+    done(null, proxy);
+  });
+};
+
+
+describe('sentinel', function () {
+
+  let sentinel;
+  let proxy;
+
+  before(function () {
+    redis.reset();
+  });
+
+  before(function (done) {
+    createProxy(function (error, _proxy) {
+      proxy = _proxy;
+      done(error);
+    });
+  });
+
+  before(function (done) {
+    const master = { host: '127.0.0.1', port: proxy.port };
+    createSentinel(master, function (error, _sentinel) {
+      sentinel = _sentinel;
+      done(error);
+    });
+  });
+
+  it('should resolve master and connect to it', function (done) {
+    const client = redis.createClient({
+      redis: {
+        sentinels: [{ host: '127.0.0.1', port: sentinel.port }],
+        name: 'mymaster'
+      }
+    });
+
+    client.set(redis.key('sentinel'), 1, function (error) {
+      expect(error).to.not.exist;
+      expect(client.address).to.be.equal('127.0.0.1:' + proxy.port);
+      client.quit(done);
+    });
+  });
+
+  it('should skip unreachable sentinels', function (done) {
+    const client = redis.createClient({
+      redis: {
+        sentinels: [
+          { host: '127.0.0.1', port: 1 },
+          { host: '127.0.0.1', port: sentinel.port }
+        ],
+        name: 'mymaster'
+      }
+    });
+
+    client.get(redis.key('sentinel'), function (error, value) {
+      expect(error).to.not.exist;
+      expect(value).to.be.equal('1');
+      client.quit(done);
+    });
+  });
+
+  it('should support sentinel connection string', function (done) {
+    const options = {
+      redis: 'redis-sentinel://127.0.0.1:1,127.0.0.1:' + sentinel.port +
+        '/mymaster/0'
+    };
+    const client = redis.createClient(options);
+
+    client.get(redis.key('sentinel'), function (error, value) {
+      expect(error).to.not.exist;
+      expect(value).to.be.equal('1');
+      client.quit(done);
+    });
+  });
+
+  it('should throw if master name is missing', function () {
+    expect(function () {
+      redis.createClient({
+        redis: { sentinels: [{ host: '127.0.0.1', port: sentinel.port }] }
+      });
+    }).to.throw(/Missing Sentinel Master Name/);
+  });
+
+  it('should emit error if master is unknown', function (done) {
+    const client = redis.createClient({
+      redis: {
+        sentinels: [{ host: '127.0.0.1', port: sentinel.port }],
+        name: 'unknown'
+      }
+    });
+
+    client.once('error', function (error) {
+      expect(error).to.exist;
+      expect(error.message).to.contain('Unable to Resolve Sentinel Master');
+      client.end(true);
+      done();
+    });
+  });
+
+  it('should follow master on failover', function (done) {
+    redis.defaults.redis = {
+      sentinels: [{ host: '127.0.0.1', port: sentinel.port }],
+      name: 'mymaster'
+    };
+
+    const client = redis.init();
+    const { publisher, subscriber } = redis.pubsub();
+    const clients = [client, publisher, subscriber];
+
+    //wait all clients to connect
+    const connected = _.after(clients.length, function () {
+      _.forEach(clients, function (client) {
+        expect(client.address).to.be.equal('127.0.0.1:' + proxy.port);
+      });
+
+      //wait all clients to reconnect
+      const reconnected = _.after(clients.length, function () {
+        _.forEach(clients, function (client) {
+          expect(client.address).to.be.equal('127.0.0.1:6379');
+        });
+
+        client.get(redis.key('sentinel'), function (error, value) {
+          expect(error).to.not.exist;
+          expect(value).to.be.equal('1');
+          done(error, value);
+        });
+      });
+      _.forEach(clients, function (client) {
+        client.once('end', function () {
+          client.once('ready', reconnected);
+        });
+      });
+
+      //switch master and stop old master
+      sentinel.failover({ host: '127.0.0.1', port: 6379 });
+      proxy.close();
+    });
+    _.forEach(clients, function (client) {
+      client.once('ready', connected);
+    });
+  });
+
+  after(function (done) {
+    redis.clear(done);
+  });
+
+  after(function () {
+    redis.reset();
+  });
+
+  after(function (done) {
+    sentinel.close(done);
+  });
+
+});
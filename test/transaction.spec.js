@@ -0,0 +1,128 @@
+'use strict';
+
+/* dependencies */
+const path = require('path');
+const { expect } = require('chai');
+const faker = require('faker');
+
+const redis = require(path.join(__dirname, '..'))();
+const { set, get } = redis.commands;
+
+
+describe('transaction', function () {
+
+  before(function (done) {
+    redis.clear(done);
+  });
+
+  before(function () {
+    redis.reset();
+  });
+
+  it('should watch keys and execute transaction', function (done) {
+    const key = faker.random.uuid();
+
+    set(key, { balance: 10 }).then(function () {
+      redis.transaction(key, function (tx, [account], encode) {
+        expect(account).to.be.eql({ balance: 10 });
+        tx.set(redis.key(key), encode({ balance: 20 }));
+      }, function (error, replies) {
+        expect(error).to.not.exist;
+        expect(replies).to.be.eql(['OK']);
+        get(key, function (error, account) {
+          expect(account).to.be.eql({ balance: 20 });
+          done(error, account);
+        });
+      });
+    }, done);
+  });
+
+  it('should retry on concurrent change', async function () {
+    const key = faker.random.uuid();
+    await set(key, 1);
+
+    let attempts = 0;
+    await redis.transaction([key, 'missing'], async function (tx, current) {
+      const [value, missing] = current;
+      expect(missing).to.be.null;
+      attempts = attempts + 1;
+      if (attempts === 1) {
+        await set(key, 5);
+      }
+      tx.set(redis.key(key), value + 1);
+    });
+
+    expect(attempts).to.be.equal(2);
+    expect(await get(key)).to.be.equal(6);
+  });
+
+  it('should encode values using serializer', async function () {
+    const key = faker.random.uuid();
+    const at = new Date(0);
+    redis.defaults.serializer = 'tagged';
+
+    try {
+      await redis.transaction(key, function (tx, [value], encode) {
+        expect(value).to.be.null;
+        tx.set(redis.key(key), encode({ at }));
+      });
+      expect(await get(key)).to.be.eql({ at });
+    } finally {
+      delete redis.defaults.serializer;
+    }
+  });
+
+  it('should fail with conflict when retries exhausted', function (done) {
+    const key = faker.random.uuid();
+
+    redis.transaction(key, async function (tx, [value]) {
+      await set(key, (value || 0) + 1);
+      tx.set(redis.key(key), 0);
+    }, { retries: 1 }, function (error) {
+      expect(error).to.exist;
+      expect(error.message).to.be.equal('Transaction Conflict');
+      expect(error.status).to.be.equal(409);
+      get(key, function (error, value) {
+        expect(value).to.be.equal(2);
+        done(error, value);
+      });
+    });
+  });
+
+  it('should propagate transaction function errors', function (done) {
+    redis.transaction(faker.random.uuid(), function () {
+      throw new Error('Insufficient Balance');
+    }, function (error) {
+      expect(error).to.exist;
+      expect(error.message).to.be.equal('Insufficient Balance');
+      done();
+    });
+  });
+
+  it('should release dedicated connection', async function () {
+    const clients = redis._clients.length;
+    await redis.transaction(faker.random.uuid(), function (tx) {
+      tx.ping();
+    });
+    expect(redis._clients.length).to.be.equal(clients);
+  });
+
+  it('should reject undefined keys', function (done) {
+    const clients = redis._clients.length;
+    redis.transaction([undefined], function () {}, function (error) {
+      expect(error).to.exist;
+      expect(error.message).to.be.equal('Invalid Key Segment');
+      expect(redis._clients.length).to.be.equal(clients);
+      done();
+    });
+  });
+
+  after(function (done) {
+    redis.clear(done);
+  });
+
+  after(function () {
+    redis.reset();
+  });
+
+});